@@ -8,7 +8,8 @@ module.exports = api => {
             '@babel/preset-env',
             {
               forceAllTransforms: true,
-              modules: "umd",
+              // Rollup bundles the modules into a single UMD file
+              modules: false,
             },
           ],
           [
@@ -17,6 +18,9 @@ module.exports = api => {
               mangle: {
                 blacklist: {
                   generate: true,
+                  AstringError: true,
+                  validate: true,
+                  ecmaFeatures: true,
                   baseGenerator: true,
                 },
               },
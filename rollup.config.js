@@ -0,0 +1,12 @@
+import babel from '@rollup/plugin-babel'
+
+export default {
+  input: 'src/astring.js',
+  output: {
+    file: 'dist/astring.min.js',
+    format: 'umd',
+    name: 'astring',
+    sourcemap: true,
+  },
+  plugins: [babel({ babelHelpers: 'bundled' })],
+}
@@ -8,7 +8,43 @@
 // Please use the GitHub bug tracker to report issues:
 // https://github.com/davidbonnet/astring/issues
 
-const { stringify } = JSON
+import {
+  SourceMapBuilder,
+  SourceMapTracer,
+  encodeBase64Text,
+} from './sourcemaps'
+import {
+  EMPTY_OBJECT,
+  EXPRESSIONS_PRECEDENCE,
+  formatArrowFunctionBody,
+  formatArrowFunctionHead,
+  formatBinaryExpressionPart,
+  formatClassDecorators,
+  formatClassKey,
+  formatComments,
+  formatDecoratorLines,
+  formatDecorators,
+  formatExpressionOperand,
+  formatImportAttributes,
+  formatMethod,
+  formatSequence,
+  formatString,
+  formatVariableDeclaration,
+  hasCallExpression,
+  hasQuotedKeys,
+  isStringLiteral,
+  isUnaryLiteral,
+  kindPrefix,
+  LINE_TERMINATOR,
+  literalCode,
+  literalRaw,
+  NEEDS_PARENTHESES,
+  OPERATOR_PRECEDENCE,
+  startsWithBrace,
+  stringCode,
+  templateElementRaw,
+} from './format'
+import { NODE_FIELDS, validate } from './validate'
 
 /* istanbul ignore if */
 if (!String.prototype.repeat) {
@@ -26,210 +62,182 @@ if (!String.prototype.endsWith) {
   )
 }
 
-const OPERATOR_PRECEDENCE = {
-  '||': 3,
-  '&&': 4,
-  '|': 5,
-  '^': 6,
-  '&': 7,
-  '==': 8,
-  '!=': 8,
-  '===': 8,
-  '!==': 8,
-  '<': 9,
-  '>': 9,
-  '<=': 9,
-  '>=': 9,
-  in: 9,
-  instanceof: 9,
-  '<<': 10,
-  '>>': 10,
-  '>>>': 10,
-  '+': 11,
-  '-': 11,
-  '*': 12,
-  '%': 12,
-  '/': 12,
-  '**': 13,
+function formatAssignmentTarget(state, node) {
+  /*
+  Writes into `state` the target `node` of an assignment, an update or a `for…in` or `for…of` statement, within parentheses if it is not a left-hand side expression, such as a TypeScript `as` expression.
+  */
+  formatExpressionOperand(state, node, EXPRESSIONS_PRECEDENCE.MemberExpression)
 }
 
-// Enables parenthesis regardless of precedence
-const NEEDS_PARENTHESES = 17
+const SURROGATE = /[\ud800-\udfff]/
 
-const EXPRESSIONS_PRECEDENCE = {
-  // Definitions
-  ArrayExpression: 20,
-  TaggedTemplateExpression: 20,
-  ThisExpression: 20,
-  Identifier: 20,
-  Literal: 18,
-  TemplateLiteral: 20,
-  Super: 20,
-  SequenceExpression: 20,
-  // Operations
-  MemberExpression: 19,
-  ChainExpression: 19,
-  CallExpression: 19,
-  NewExpression: 19,
-  // Other definitions
-  ArrowFunctionExpression: NEEDS_PARENTHESES,
-  ClassExpression: NEEDS_PARENTHESES,
-  FunctionExpression: NEEDS_PARENTHESES,
-  ObjectExpression: NEEDS_PARENTHESES,
-  // Other operations
-  UpdateExpression: 16,
-  UnaryExpression: 15,
-  BinaryExpression: 14,
-  LogicalExpression: 13,
-  ConditionalExpression: 4,
-  AssignmentExpression: 3,
-  AwaitExpression: 2,
-  YieldExpression: 2,
-  RestElement: 1,
+function isDeclaration(node) {
+  /*
+  Returns `true` if the statement `node` is a declaration that cannot be the body of a compound statement, that is any declaration but `var`.
+  */
+  return node.type.endsWith('Declaration') && node.kind !== 'var'
 }
 
-function formatSequence(state, nodes) {
+function hasOpenIf(node) {
   /*
-  Writes into `state` a sequence of `nodes`.
+  Returns `true` if the statement `node` ends with an `if` statement without an `else` clause, which would take the `else` clause written after `node`.
   */
-  const { generator } = state
-  state.write('(')
-  if (nodes != null && nodes.length > 0) {
-    generator[nodes[0].type](nodes[0], state)
-    const { length } = nodes
-    for (let i = 1; i < length; i++) {
-      const param = nodes[i]
-      state.write(', ')
-      generator[param.type](param, state)
+  let currentNode = node
+  while (currentNode != null) {
+    const { type } = currentNode
+    if (type === 'IfStatement') {
+      if (currentNode.alternate == null) {
+        return true
+      }
+      currentNode = currentNode.alternate
+    } else if (
+      type === 'ForStatement' ||
+      type === 'ForInStatement' ||
+      type === 'ForOfStatement' ||
+      type === 'WhileStatement' ||
+      type === 'WithStatement' ||
+      type === 'LabeledStatement'
+    ) {
+      currentNode = currentNode.body
+    } else {
+      return false
     }
   }
-  state.write(')')
-}
-
-function expressionNeedsParenthesis(node, parentNode, isRightHand) {
-  const nodePrecedence = EXPRESSIONS_PRECEDENCE[node.type]
-  if (nodePrecedence === NEEDS_PARENTHESES) {
-    return true
-  }
-  const parentNodePrecedence = EXPRESSIONS_PRECEDENCE[parentNode.type]
-  if (nodePrecedence !== parentNodePrecedence) {
-    // Different node types
-    return (
-      (!isRightHand &&
-        nodePrecedence === 15 &&
-        parentNodePrecedence === 14 &&
-        parentNode.operator === '**') ||
-      nodePrecedence < parentNodePrecedence
-    )
-  }
-  if (nodePrecedence !== 13 && nodePrecedence !== 14) {
-    // Not a `LogicalExpression` or `BinaryExpression`
-    return false
-  }
-  if (node.operator === '**' && parentNode.operator === '**') {
-    // Exponentiation operator has right-to-left associativity
-    return !isRightHand
-  }
-  if (isRightHand) {
-    // Parenthesis are used if both operators have the same precedence
-    return (
-      OPERATOR_PRECEDENCE[node.operator] <=
-      OPERATOR_PRECEDENCE[parentNode.operator]
-    )
-  }
-  return (
-    OPERATOR_PRECEDENCE[node.operator] <
-    OPERATOR_PRECEDENCE[parentNode.operator]
-  )
+  return false
 }
 
-function formatBinaryExpressionPart(state, node, parentNode, isRightHand) {
+function isPlainDecorator(node) {
   /*
-  Writes into `state` a left-hand or right-hand expression `node`
-  from a binary expression applying the provided `operator`.
-  The `isRightHand` parameter should be `true` if the `node` is a right-hand argument.
+  Returns `true` if the decorator expression `node` can be written without parentheses.
   */
-  const { generator } = state
-  if (expressionNeedsParenthesis(node, parentNode, isRightHand)) {
-    state.write('(')
-    generator[node.type](node, state)
-    state.write(')')
-  } else {
-    generator[node.type](node, state)
+  if (node.type === 'CallExpression') {
+    if (node.optional) {
+      return false
+    }
+    node = node.callee
+  }
+  while (node.type === 'MemberExpression') {
+    if (node.computed || node.optional) {
+      return false
+    }
+    node = node.object
   }
+  return node.type === 'Identifier'
 }
 
-function reindent(state, text, indent, lineEnd) {
+function formatExport(state, keyword, declaration) {
   /*
-  Writes into `state` the `text` string reindented with the provided `indent`.
+  Writes into `state` the export `keyword` followed by its `declaration`.
+  The decorators of an exported class are written before the keyword.
   */
-  const lines = text.split('\n')
-  const end = lines.length - 1
-  state.write(lines[0].trim())
-  if (end > 0) {
-    state.write(lineEnd)
-    for (let i = 1; i < end; i++) {
-      state.write(indent + lines[i].trim() + lineEnd)
-    }
-    state.write(indent + lines[end].trim())
+  const { decorators } = declaration
+  if (decorators != null && decorators.length > 0) {
+    formatDecoratorLines(state, decorators)
+    declaration = Object.assign({}, declaration, { decorators: null })
   }
+  state.write(keyword)
+  state.generator[declaration.type](declaration, state)
 }
 
-function formatComments(state, comments, indent, lineEnd) {
+function hasSameName(first, second) {
   /*
-  Writes into `state` the provided list of `comments`, with the given `indent` and `lineEnd` strings.
-  Line comments will end with `"\n"` regardless of the value of `lineEnd`.
-  Expects to start on a new unindented line.
+  Returns `true` if the module export names `first` and `second`, either identifiers or string literals, are written the same way.
   */
-  const { length } = comments
-  for (let i = 0; i < length; i++) {
-    const comment = comments[i]
-    state.write(indent)
-    if (comment.type[0] === 'L') {
-      // Line comment
-      state.write('// ' + comment.value.trim() + '\n', comment)
-    } else {
-      // Block comment
-      state.write('/*')
-      reindent(state, comment.value, indent, lineEnd)
-      state.write('*/' + lineEnd)
-    }
-  }
+  return (
+    first.type === second.type &&
+    (first.name != null
+      ? first.name === second.name
+      : first.value === second.value)
+  )
 }
 
-function hasCallExpression(node) {
+// Thrown by probe states as soon as the code they write spans several lines
+const MULTI_LINE = {}
+
+function isSingleLine(state, node) {
   /*
-  Returns `true` if the provided `node` contains a call expression and `false` otherwise.
+  Returns `true` if the statement `node` is written on a single line.
+  The statement is written into a probe state that keeps no output, maps nothing, does not check its nested bodies, and stops at the first line break.
+  The nested bodies found to span several lines along the way are remembered, so that each line is probed once.
   */
-  let currentNode = node
-  while (currentNode != null) {
-    const { type } = currentNode
-    if (type[0] === 'C' && type[1] === 'a') {
-      // Is CallExpression
-      return true
-    } else if (type[0] === 'M' && type[1] === 'e' && type[2] === 'm') {
-      // Is MemberExpression
-      currentNode = currentNode.object
-    } else {
-      return false
+  let { probe } = state
+  if (probe == null) {
+    probe = new State({
+      generator: state.probeGenerator,
+      indent: state.indent,
+      lineEnd: state.lineEnd,
+      comments: state.writeComments,
+      literals: state.literals,
+      quotes: state.quotes,
+      quoteProps: state.quoteProps,
+    })
+    probe.write = probe.writeToProbe
+    probe.expressionsPrecedence = state.expressionsPrecedence
+    probe.operatorPrecedence = state.operatorPrecedence
+    probe.probedBodies = []
+    state.probe = probe
+    state.multiLineBodies = new WeakSet()
+  }
+  const { multiLineBodies } = state
+  if (multiLineBodies.has(node)) {
+    return false
+  }
+  try {
+    probe.generator[node.type](node, probe)
+  } catch (error) {
+    if (error !== MULTI_LINE) {
+      throw error
+    }
+    // The bodies being written when the probe stopped contain the line break
+    const { probedBodies } = probe
+    for (let i = 0; i < probedBodies.length; i++) {
+      multiLineBodies.add(probedBodies[i])
     }
+    probedBodies.length = 0
+    return false
   }
+  return true
 }
 
-function formatVariableDeclaration(state, node) {
+function formatBody(state, node, curly, isBeforeElse) {
   /*
-  Writes into `state` a variable declaration.
+  Writes into `state` the statement `node` that is the body of a compound statement.
+  The body is enclosed in a block if the `curly` option requires it, or if it would not be read back as the same body.
+  The `isBeforeElse` parameter should be `true` if the body is followed by an `else` clause.
   */
-  const { generator } = state
-  const { declarations } = node
-  state.write(node.kind + ' ')
-  const { length } = declarations
-  if (length > 0) {
-    generator.VariableDeclarator(declarations[0], state)
-    for (let i = 1; i < length; i++) {
-      state.write(', ')
-      generator.VariableDeclarator(declarations[i], state)
-    }
+  const { type } = node
+  const isSingleLineBody =
+    curly === 'multi-line' &&
+    type !== 'BlockStatement' &&
+    isSingleLine(state, node)
+  const { probedBodies } = state
+  if (probedBodies != null) {
+    probedBodies.push(node)
+  }
+  if (
+    type !== 'BlockStatement' &&
+    (curly === 'all' ||
+      (curly === 'multi-line' && !isSingleLineBody) ||
+      isDeclaration(node) ||
+      (isBeforeElse && hasOpenIf(node)))
+  ) {
+    state.generator.BlockStatement(
+      {
+        type: 'BlockStatement',
+        body: type === 'EmptyStatement' ? [] : [node],
+      },
+      state,
+    )
+  } else if (isSingleLineBody) {
+    // Nested bodies are written on the same line and need no check
+    state.curly = 'preserve'
+    state.generator[type](node, state)
+    state.curly = curly
+  } else {
+    state.generator[type](node, state)
+  }
+  if (probedBodies != null) {
+    probedBodies.pop()
   }
 }
 
@@ -238,7 +246,8 @@ let ForInStatement,
   RestElement,
   BinaryExpression,
   ArrayExpression,
-  BlockStatement
+  BlockStatement,
+  PropertyDefinition
 
 export const baseGenerator = {
   Program(node, state) {
@@ -297,22 +306,35 @@ export const baseGenerator = {
     state.write('}')
     state.indentLevel--
   }),
-  ClassBody: BlockStatement,
+  ClassBody(node, state) {
+    const { quotedKeys } = state
+    state.quotedKeys = hasQuotedKeys(state, node.body)
+    BlockStatement.call(this, node, state)
+    state.quotedKeys = quotedKeys
+  },
   EmptyStatement(node, state) {
     state.write(';')
   },
   ExpressionStatement(node, state) {
-    const precedence = EXPRESSIONS_PRECEDENCE[node.expression.type]
+    if (node.directive != null) {
+      // Directives cannot be template literals
+      formatString(state, node.expression)
+      state.write(';')
+      return
+    }
+    const { expression } = node
     if (
-      precedence === NEEDS_PARENTHESES ||
-      (precedence === 3 && node.expression.left.type[0] === 'O')
+      state.expressionsPrecedence[expression.type] === NEEDS_PARENTHESES ||
+      expression.type === 'ArrowFunctionExpression' ||
+      startsWithBrace(expression) ||
+      isStringLiteral(expression)
     ) {
-      // Should always have parentheses or is an AssignmentExpression to an ObjectPattern
+      // Should always have parentheses, starts with a brace, or would be read as a directive
       state.write('(')
-      this[node.expression.type](node.expression, state)
+      this[expression.type](expression, state)
       state.write(')')
     } else {
-      this[node.expression.type](node.expression, state)
+      this[expression.type](expression, state)
     }
     state.write(';')
   },
@@ -320,16 +342,24 @@ export const baseGenerator = {
     state.write('if (')
     this[node.test.type](node.test, state)
     state.write(') ')
-    this[node.consequent.type](node.consequent, state)
-    if (node.alternate != null) {
+    const { alternate } = node
+    formatBody(state, node.consequent, state.curly, alternate != null)
+    if (alternate != null) {
       state.write(' else ')
-      this[node.alternate.type](node.alternate, state)
+      // Keeps `else if` chains
+      formatBody(
+        state,
+        alternate,
+        alternate.type === 'IfStatement' ? 'preserve' : state.curly,
+        false,
+      )
     }
   },
   LabeledStatement(node, state) {
     this[node.label.type](node.label, state)
     state.write(': ')
-    this[node.body.type](node.body, state)
+    // Braces would prevent labeled loops from being continued
+    formatBody(state, node.body, 'preserve', false)
   },
   BreakStatement(node, state) {
     state.write('break')
@@ -351,7 +381,7 @@ export const baseGenerator = {
     state.write('with (')
     this[node.object.type](node.object, state)
     state.write(') ')
-    this[node.body.type](node.body, state)
+    formatBody(state, node.body, 'preserve', false)
   },
   SwitchStatement(node, state) {
     const indent = state.indent.repeat(state.indentLevel++)
@@ -427,11 +457,11 @@ export const baseGenerator = {
     state.write('while (')
     this[node.test.type](node.test, state)
     state.write(') ')
-    this[node.body.type](node.body, state)
+    formatBody(state, node.body, state.curly, false)
   },
   DoWhileStatement(node, state) {
     state.write('do ')
-    this[node.body.type](node.body, state)
+    formatBody(state, node.body, state.curly, false)
     state.write(' while (')
     this[node.test.type](node.test, state)
     state.write(');')
@@ -455,21 +485,32 @@ export const baseGenerator = {
       this[node.update.type](node.update, state)
     }
     state.write(') ')
-    this[node.body.type](node.body, state)
+    formatBody(state, node.body, state.curly, false)
   },
   ForInStatement: (ForInStatement = function (node, state) {
     state.write(`for ${node.await ? 'await ' : ''}(`)
     const { left } = node
+    const isIn = node.type[3] === 'I'
     if (left.type[0] === 'V') {
+      // Also covers the `using` and `await using` declarations
       formatVariableDeclaration(state, left)
-    } else {
+    } else if (
+      !isIn &&
+      left.type === 'Identifier' &&
+      (left.name === 'let' || (left.name === 'async' && !node.await))
+    ) {
+      // Would be read as a declaration or an async arrow function
+      state.write('(')
       this[left.type](left, state)
+      state.write(')')
+    } else {
+      formatAssignmentTarget(state, left)
     }
     // Identifying whether node.type is `ForInStatement` or `ForOfStatement`
-    state.write(node.type[3] === 'I' ? ' in ' : ' of ')
+    state.write(isIn ? ' in ' : ' of ')
     this[node.right.type](node.right, state)
     state.write(') ')
-    this[node.body.type](node.body, state)
+    formatBody(state, node.body, state.curly, false)
   }),
   ForOfStatement: ForInStatement,
   DebuggerStatement(node, state) {
@@ -499,16 +540,19 @@ export const baseGenerator = {
     }
   },
   ClassDeclaration(node, state) {
-    state.write('class ' + (node.id ? `${node.id.name} ` : ''), node)
+    state.write(
+      'class ' + (node.id ? `${node.id.name} ` : ''),
+      formatClassDecorators(state, node),
+    )
     if (node.superClass) {
       state.write('extends ')
-      this[node.superClass.type](node.superClass, state)
+      formatExpressionOperand(state, node.superClass, NEEDS_PARENTHESES)
       state.write(' ')
     }
     this.ClassBody(node.body, state)
   },
   ImportDeclaration(node, state) {
-    state.write('import ')
+    state.write('import ' + kindPrefix(node.importKind))
     const { specifiers } = node
     const { length } = specifiers
     // NOTE: Once babili is fixed, put this after condition
@@ -538,10 +582,12 @@ export const baseGenerator = {
         state.write('{')
         for (;;) {
           const specifier = specifiers[i]
-          const { name } = specifier.imported
-          state.write(name, specifier)
-          if (name !== specifier.local.name) {
-            state.write(' as ' + specifier.local.name)
+          const { imported, local } = specifier
+          state.write(kindPrefix(specifier.importKind), specifier)
+          formatString(state, imported)
+          if (!hasSameName(imported, local)) {
+            state.write(' as ')
+            this[local.type](local, state)
           }
           if (++i < length) {
             state.write(', ')
@@ -553,40 +599,57 @@ export const baseGenerator = {
       }
       state.write(' from ')
     }
-    this.Literal(node.source, state)
+    formatString(state, node.source)
+    formatImportAttributes(state, node)
     state.write(';')
   },
+  ImportAttribute(node, state) {
+    formatString(state, node.key)
+    state.write(': ')
+    formatString(state, node.value)
+  },
   ImportExpression(node, state) {
     state.write('import(')
     this[node.source.type](node.source, state)
+    // Some parsers store the options in `attributes`
+    const options = node.options != null ? node.options : node.attributes
+    if (options != null) {
+      state.write(', ')
+      this[options.type](options, state)
+    }
     state.write(')')
   },
   ExportDefaultDeclaration(node, state) {
-    state.write('export default ')
-    this[node.declaration.type](node.declaration, state)
-    if (
-      EXPRESSIONS_PRECEDENCE[node.declaration.type] &&
-      node.declaration.type[0] !== 'F'
-    ) {
-      // All expression nodes except `FunctionExpression`
+    const { declaration } = node
+    const { type } = declaration
+    if (type === 'FunctionExpression' || type === 'ClassExpression') {
+      // Would otherwise be read as a declaration
+      state.write('export default (')
+      this[type](declaration, state)
+      state.write(');')
+      return
+    }
+    formatExport(state, 'export default ', declaration)
+    if (state.expressionsPrecedence[type]) {
       state.write(';')
     }
   },
   ExportNamedDeclaration(node, state) {
-    state.write('export ')
     if (node.declaration) {
-      this[node.declaration.type](node.declaration, state)
+      formatExport(state, 'export ', node.declaration)
     } else {
-      state.write('{')
+      state.write('export ' + kindPrefix(node.exportKind) + '{')
       const { specifiers } = node,
         { length } = specifiers
       if (length > 0) {
         for (let i = 0; ; ) {
           const specifier = specifiers[i]
-          const { name } = specifier.local
-          state.write(name, specifier)
-          if (name !== specifier.exported.name) {
-            state.write(' as ' + specifier.exported.name)
+          const { local, exported } = specifier
+          state.write(kindPrefix(specifier.exportKind), specifier)
+          formatString(state, local)
+          if (!hasSameName(local, exported)) {
+            state.write(' as ')
+            formatString(state, exported)
           }
           if (++i < length) {
             state.write(', ')
@@ -598,70 +661,67 @@ export const baseGenerator = {
       state.write('}')
       if (node.source) {
         state.write(' from ')
-        this.Literal(node.source, state)
+        formatString(state, node.source)
+        formatImportAttributes(state, node)
       }
       state.write(';')
     }
   },
   ExportAllDeclaration(node, state) {
-    if (node.exported != null) {
-      state.write('export * as ' + node.exported.name + ' from ')
+    state.write('export ' + kindPrefix(node.exportKind))
+    const { exported } = node
+    if (exported != null) {
+      state.write('* as ')
+      formatString(state, exported)
+      state.write(' from ')
     } else {
-      state.write('export * from ')
+      state.write('* from ')
     }
-    this.Literal(node.source, state)
+    formatString(state, node.source)
+    formatImportAttributes(state, node)
     state.write(';')
   },
   MethodDefinition(node, state) {
+    formatMethod(state, node, node.value)
+  },
+  ClassExpression(node, state) {
+    this.ClassDeclaration(node, state)
+  },
+  PropertyDefinition: (PropertyDefinition = function (node, state) {
+    formatDecorators(state, node.decorators, ' ')
     if (node.static) {
       state.write('static ')
     }
-    const kind = node.kind[0]
-    if (kind === 'g' || kind === 's') {
-      // Getter or setter
-      state.write(node.kind + ' ')
-    }
-    if (node.value.async) {
-      state.write('async ')
+    if (node.type.indexOf('Accessor') !== -1) {
+      state.write('accessor ')
     }
-    if (node.value.generator) {
-      state.write('*')
+    formatClassKey(state, node)
+    if (node.value != null) {
+      state.write(' = ')
+      this[node.value.type](node.value, state)
     }
-    if (node.computed) {
-      state.write('[')
-      this[node.key.type](node.key, state)
-      state.write(']')
+    // Always terminated to avoid ASI hazards with the next class element
+    state.write(';')
+  }),
+  AccessorProperty: PropertyDefinition,
+  Decorator(node, state) {
+    state.write('@', node)
+    const { expression } = node
+    if (isPlainDecorator(expression)) {
+      this[expression.type](expression, state)
     } else {
-      this[node.key.type](node.key, state)
+      state.write('(')
+      this[expression.type](expression, state)
+      state.write(')')
     }
-    formatSequence(state, node.value.params)
-    state.write(' ')
-    this[node.value.body.type](node.value.body, state)
   },
-  ClassExpression(node, state) {
-    this.ClassDeclaration(node, state)
+  StaticBlock(node, state) {
+    state.write('static ')
+    this.BlockStatement(node, state)
   },
   ArrowFunctionExpression(node, state) {
-    state.write(node.async ? 'async ' : '', node)
-    const { params } = node
-    if (params != null) {
-      // Omit parenthesis if only one named parameter
-      if (params.length === 1 && params[0].type[0] === 'I') {
-        // If params[0].type[0] starts with 'I', it can't be `ImportDeclaration` nor `IfStatement` and thus is `Identifier`
-        state.write(params[0].name, params[0])
-      } else {
-        formatSequence(state, node.params)
-      }
-    }
-    state.write(' => ')
-    if (node.body.type[0] === 'O') {
-      // Body is an object expression
-      state.write('(')
-      this.ObjectExpression(node.body, state)
-      state.write(')')
-    } else {
-      this[node.body.type](node.body, state)
-    }
+    formatArrowFunctionHead(state, node)
+    formatArrowFunctionBody(state, node.body)
   },
   ThisExpression(node, state) {
     state.write('this', node)
@@ -684,13 +744,11 @@ export const baseGenerator = {
   AwaitExpression(node, state) {
     state.write('await ', node)
     if (node.argument) {
-      if (node.argument.type === 'ArrowFunctionExpression') {
-        state.write('(')
-        this[node.argument.type](node.argument, state)
-        state.write(')')
-      } else {
-        this[node.argument.type](node.argument, state)
-      }
+      formatExpressionOperand(
+        state,
+        node.argument,
+        EXPRESSIONS_PRECEDENCE.UnaryExpression,
+      )
     }
   },
   TemplateLiteral(node, state) {
@@ -700,20 +758,24 @@ export const baseGenerator = {
     for (let i = 0; i < length; i++) {
       const expression = expressions[i]
       const quasi = quasis[i]
-      state.write(quasi.value.raw, quasi)
+      state.write(templateElementRaw(state, quasi), quasi)
       state.write('${')
       this[expression.type](expression, state)
       state.write('}')
     }
     const quasi = quasis[quasis.length - 1]
-    state.write(quasi.value.raw, quasi)
+    state.write(templateElementRaw(state, quasi), quasi)
     state.write('`')
   },
   TemplateElement(node, state) {
-    state.write(node.value.raw, node)
+    state.write(templateElementRaw(state, node), node)
   },
   TaggedTemplateExpression(node, state) {
-    this[node.tag.type](node.tag, state)
+    formatExpressionOperand(
+      state,
+      node.tag,
+      EXPRESSIONS_PRECEDENCE.MemberExpression,
+    )
     this[node.quasi.type](node.quasi, state)
   },
   ArrayExpression: (ArrayExpression = function (node, state) {
@@ -741,8 +803,9 @@ export const baseGenerator = {
   ArrayPattern: ArrayExpression,
   ObjectExpression(node, state) {
     const indent = state.indent.repeat(state.indentLevel++)
-    const { lineEnd, writeComments } = state
+    const { lineEnd, writeComments, quotedKeys } = state
     const propertyIndent = indent + state.indent
+    state.quotedKeys = hasQuotedKeys(state, node.properties)
     state.write('{')
     if (node.properties.length > 0) {
       state.write(lineEnd)
@@ -789,6 +852,7 @@ export const baseGenerator = {
       state.write('}')
     }
     state.indentLevel--
+    state.quotedKeys = quotedKeys
   },
   Property(node, state) {
     if (node.method || node.kind[0] !== 'i') {
@@ -796,19 +860,15 @@ export const baseGenerator = {
       this.MethodDefinition(node, state)
     } else {
       if (!node.shorthand) {
-        if (node.computed) {
-          state.write('[')
-          this[node.key.type](node.key, state)
-          state.write(']')
-        } else {
-          this[node.key.type](node.key, state)
-        }
+        formatClassKey(state, node)
         state.write(': ')
       }
       this[node.value.type](node.value, state)
     }
   },
   ObjectPattern(node, state) {
+    const { quotedKeys } = state
+    state.quotedKeys = hasQuotedKeys(state, node.properties)
     state.write('{')
     if (node.properties.length > 0) {
       const { properties } = node,
@@ -823,6 +883,7 @@ export const baseGenerator = {
       }
     }
     state.write('}')
+    state.quotedKeys = quotedKeys
   },
   SequenceExpression(node, state) {
     formatSequence(state, node.expressions)
@@ -832,20 +893,16 @@ export const baseGenerator = {
       state.write(node.operator)
       if (
         node.operator.length > 1 ||
-        node.argument.type === 'UnaryExpression'
+        node.argument.type === 'UnaryExpression' ||
+        isUnaryLiteral(node.argument)
       ) {
         state.write(' ')
       }
-      if (
-        EXPRESSIONS_PRECEDENCE[node.argument.type] <
-        EXPRESSIONS_PRECEDENCE.UnaryExpression
-      ) {
-        state.write('(')
-        this[node.argument.type](node.argument, state)
-        state.write(')')
-      } else {
-        this[node.argument.type](node.argument, state)
-      }
+      formatExpressionOperand(
+        state,
+        node.argument,
+        EXPRESSIONS_PRECEDENCE.UnaryExpression,
+      )
     } else {
       // FIXME: This case never occurs
       this[node.argument.type](node.argument, state)
@@ -853,17 +910,16 @@ export const baseGenerator = {
     }
   },
   UpdateExpression(node, state) {
-    // Always applied to identifiers or members, no parenthesis check needed
     if (node.prefix) {
       state.write(node.operator)
-      this[node.argument.type](node.argument, state)
+      formatAssignmentTarget(state, node.argument)
     } else {
-      this[node.argument.type](node.argument, state)
+      formatAssignmentTarget(state, node.argument)
       state.write(node.operator)
     }
   },
   AssignmentExpression(node, state) {
-    this[node.left.type](node.left, state)
+    formatAssignmentTarget(state, node.left)
     state.write(' ' + node.operator + ' ')
     this[node.right.type](node.right, state)
   },
@@ -887,15 +943,18 @@ export const baseGenerator = {
   }),
   LogicalExpression: BinaryExpression,
   ConditionalExpression(node, state) {
-    if (
-      EXPRESSIONS_PRECEDENCE[node.test.type] >
-      EXPRESSIONS_PRECEDENCE.ConditionalExpression
-    ) {
-      this[node.test.type](node.test, state)
-    } else {
+    const { test } = node
+    if (state.expressionsPrecedence[test.type] === NEEDS_PARENTHESES) {
+      // Could start the statement
       state.write('(')
-      this[node.test.type](node.test, state)
+      this[test.type](test, state)
       state.write(')')
+    } else {
+      formatExpressionOperand(
+        state,
+        test,
+        EXPRESSIONS_PRECEDENCE.LogicalExpression,
+      )
     }
     state.write(' ? ')
     this[node.consequent.type](node.consequent, state)
@@ -905,7 +964,7 @@ export const baseGenerator = {
   NewExpression(node, state) {
     state.write('new ')
     if (
-      EXPRESSIONS_PRECEDENCE[node.callee.type] <
+      state.expressionsPrecedence[node.callee.type] <
         EXPRESSIONS_PRECEDENCE.CallExpression ||
       hasCallExpression(node.callee)
     ) {
@@ -918,16 +977,11 @@ export const baseGenerator = {
     formatSequence(state, node['arguments'])
   },
   CallExpression(node, state) {
-    if (
-      EXPRESSIONS_PRECEDENCE[node.callee.type] <
-      EXPRESSIONS_PRECEDENCE.CallExpression
-    ) {
-      state.write('(')
-      this[node.callee.type](node.callee, state)
-      state.write(')')
-    } else {
-      this[node.callee.type](node.callee, state)
-    }
+    formatExpressionOperand(
+      state,
+      node.callee,
+      EXPRESSIONS_PRECEDENCE.CallExpression,
+    )
     if (node.optional) {
       state.write('?.')
     }
@@ -937,16 +991,11 @@ export const baseGenerator = {
     this[node.expression.type](node.expression, state)
   },
   MemberExpression(node, state) {
-    if (
-      EXPRESSIONS_PRECEDENCE[node.object.type] <
-      EXPRESSIONS_PRECEDENCE.MemberExpression
-    ) {
-      state.write('(')
-      this[node.object.type](node.object, state)
-      state.write(')')
-    } else {
-      this[node.object.type](node.object, state)
-    }
+    formatExpressionOperand(
+      state,
+      node.object,
+      EXPRESSIONS_PRECEDENCE.MemberExpression,
+    )
     if (node.computed) {
       if (node.optional) {
         state.write('?.')
@@ -969,16 +1018,24 @@ export const baseGenerator = {
   Identifier(node, state) {
     state.write(node.name, node)
   },
+  PrivateIdentifier(node, state) {
+    state.write('#' + node.name, node)
+  },
   Literal(node, state) {
-    if (node.raw != null) {
-      // Non-standard property
-      state.write(node.raw, node)
+    if (typeof node.value === 'string') {
+      state.write(stringCode(state, node, node.raw, true), node)
+      return
+    }
+    // Non-standard property
+    const raw = literalRaw(state, node, node.raw)
+    if (raw != null) {
+      state.write(raw, node)
     } else if (node.regex != null) {
       this.RegExpLiteral(node, state)
     } else if (node.bigint != null) {
       state.write(node.bigint + 'n', node)
     } else {
-      state.write(stringify(node.value), node)
+      state.write(literalCode(node.value), node)
     }
   },
   RegExpLiteral(node, state) {
@@ -987,7 +1044,391 @@ export const baseGenerator = {
   },
 }
 
-const EMPTY_OBJECT = {}
+export class AstringError extends Error {
+  /*
+  Error thrown when a node cannot be generated.
+  Carries the failing `node`, its `nodeType`, its `path` from the root node, the `output` generated so far, the `codeFrame` of the node in the original source if available, and the original error as `cause`.
+  */
+  constructor(message, node, path, output, codeFrame, cause) {
+    super(codeFrame == null ? message : message + '\n\n' + codeFrame)
+    this.name = 'AstringError'
+    this.node = node
+    this.nodeType = node.type
+    this.path = path
+    this.output = output
+    this.codeFrame = codeFrame
+    this.cause = cause
+  }
+}
+
+function sourceContentOf(state, loc) {
+  /*
+  Returns the original source code of the node at `loc`, which is the content provided for its `loc.source` if any, or the `sourceContent` option otherwise.
+  */
+  const { source } = loc
+  const { sourcesContent } = state
+  return source != null && sourcesContent[source] != null
+    ? sourcesContent[source]
+    : state.sourceContent
+}
+
+function nodePath(nodes) {
+  /*
+  Returns the path from the first node of `nodes` to the last one, such as `Program.body[3].expression`.
+  Nodes that are not children of the previous ones, such as the blocks that enclose statement bodies, are skipped.
+  */
+  let parent = nodes[0]
+  let path = parent.type
+  for (let i = 1; i < nodes.length; i++) {
+    const node = nodes[i]
+    const keys = Object.keys(parent)
+    for (let j = 0; j < keys.length; j++) {
+      const key = keys[j]
+      const value = parent[key]
+      const index = Array.isArray(value) ? value.indexOf(node) : -1
+      if (value === node || index !== -1) {
+        path += index === -1 ? '.' + key : `.${key}[${index}]`
+        parent = node
+        break
+      }
+    }
+  }
+  return path
+}
+
+function codeFrame(source, position) {
+  /*
+  Returns the lines of the `source` code surrounding the `position` in it, with a marker below the position.
+  */
+  const lines = source.split(LINE_TERMINATOR)
+  const { line } = position
+  const end = Math.min(line + 2, lines.length)
+  const width = String(end).length
+  const frame = []
+  for (let i = Math.max(line - 3, 0); i < end; i++) {
+    const number = String(i + 1)
+    const gutter = ' '.repeat(width - number.length) + number + ' | '
+    frame.push((i + 1 === line ? '> ' : '  ') + gutter + lines[i])
+    if (i + 1 === line) {
+      frame.push(
+        '  ' +
+          ' '.repeat(gutter.length - 2) +
+          '| ' +
+          ' '.repeat(position.column) +
+          '^',
+      )
+    }
+  }
+  return frame.join('\n')
+}
+
+function locateError(error, node, options) {
+  /*
+  Returns an `AstringError` describing the provided `error` thrown while generating the code of `node` with `options`.
+  The code is generated again without side effects while recording the path to the failing node.
+  Returns `error` as is if it cannot be reproduced.
+  */
+  if (error instanceof AstringError || node == null) {
+    return error
+  }
+  const state = new State(
+    Object.assign({}, options, { output: null, sourceMap: null }),
+  )
+  const { generator } = state
+  const nodes = []
+  let isUnsupported = false
+  state.generator = new Proxy(generator, {
+    get(target, type) {
+      const handler = target[type]
+      return function (node, state) {
+        nodes.push(node)
+        if (handler == null) {
+          isUnsupported = true
+          throw error
+        }
+        handler.call(this, node, state)
+        nodes.pop()
+      }
+    },
+  })
+  try {
+    state.generator[node.type](node, state)
+  } catch (cause) {
+    if (nodes.length === 0) {
+      return error
+    }
+    const failingNode = nodes[nodes.length - 1]
+    const path = nodePath(nodes)
+    const message = isUnsupported
+      ? `Unsupported ${failingNode.type} node at ${path}`
+      : `Cannot generate ${failingNode.type} node at ${path}: ${cause.message}`
+    let frame = null
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const { loc } = nodes[i]
+      if (loc != null) {
+        const content = sourceContentOf(state, loc)
+        if (content != null) {
+          frame = codeFrame(content, loc.start)
+        }
+        break
+      }
+    }
+    return new AstringError(
+      message,
+      failingNode,
+      path,
+      state.output,
+      frame,
+      isUnsupported ? undefined : cause,
+    )
+  }
+  return error
+}
+
+function diagnosticError(diagnostic, state) {
+  /*
+  Returns an `AstringError` describing the provided `diagnostic` of the `validate` function.
+  */
+  const { node, path } = diagnostic
+  const content = node.loc != null ? sourceContentOf(state, node.loc) : null
+  return new AstringError(
+    `${diagnostic.message} at ${path}`,
+    node,
+    path,
+    '',
+    content != null ? codeFrame(content, node.loc.start) : null,
+  )
+}
+
+function formatUnsupported(node, state) {
+  /*
+  Writes into `state` a placeholder for the `node` of an unsupported type.
+  */
+  state.write(`/* astring: unsupported ${node.type} */`, node)
+}
+
+// Type of the placeholder nodes that replace missing children in lenient mode
+const MISSING_NODE_TYPE = 'AstringMissingNode'
+
+function formatMissing(node, state) {
+  /*
+  Writes into `state` a placeholder for a missing required child `node`, as an empty statement if it is expected to be one.
+  */
+  state.write(
+    `/* astring: missing ${node.field} */` + (node.isStatement ? ';' : ''),
+  )
+}
+
+function withPlaceholders(node) {
+  /*
+  Returns `node`, or a copy of it in which the missing required children are replaced with placeholder nodes.
+  */
+  const fields = NODE_FIELDS[node.type]
+  if (fields == null) {
+    return node
+  }
+  let copy = node
+  const keys = Object.keys(fields)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const field = fields[key]
+    if (
+      field[field.length - 1] === '?' ||
+      field[0] === '=' ||
+      field === 'boolean' ||
+      field === 'string'
+    ) {
+      // Optional children and other values
+      continue
+    }
+    const value = node[key]
+    const placeholder = {
+      type: MISSING_NODE_TYPE,
+      field: key,
+      isStatement: field === 'Statement' || field === '[Statement]',
+    }
+    let replacement
+    if (field[0] !== '[') {
+      if (value == null) {
+        replacement = placeholder
+      }
+    } else if (value == null) {
+      replacement = [placeholder]
+    } else if (field[field.length - 2] !== '?' && value.indexOf(null) !== -1) {
+      replacement = value.map((item) => (item == null ? placeholder : item))
+    }
+    if (replacement !== undefined) {
+      if (copy === node) {
+        copy = Object.assign({}, node)
+      }
+      copy[key] = replacement
+    }
+  }
+  return copy
+}
+
+function lenientGenerator(generator) {
+  /*
+  Returns a copy of `generator` that writes placeholders for nodes of unsupported types and for missing required children instead of failing.
+  */
+  const handlers = Object.create(null)
+  return new Proxy(generator, {
+    get(target, type) {
+      if (type === MISSING_NODE_TYPE) {
+        return formatMissing
+      }
+      const handler = target[type]
+      if (handler == null) {
+        return formatUnsupported
+      }
+      if (typeof handler !== 'function') {
+        return handler
+      }
+      let lenientHandler = handlers[type]
+      if (lenientHandler === undefined) {
+        lenientHandler = function (node, state) {
+          return handler.call(this, withPlaceholders(node), state)
+        }
+        handlers[type] = lenientHandler
+      }
+      return lenientHandler
+    },
+  })
+}
+
+function codePointLength(text, start, end) {
+  /*
+  Returns the number of code points of `text` between the `start` and `end` offsets.
+  */
+  let length = end - start
+  for (let i = start; i < end - 1; i++) {
+    const char = text.charCodeAt(i)
+    if (char >= 0xd800 && char <= 0xdbff) {
+      const next = text.charCodeAt(i + 1)
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        // Surrogate pair
+        length--
+        i++
+      }
+    }
+  }
+  return length
+}
+
+function lineOffsets(source) {
+  /*
+  Returns the offsets at which the lines of the `source` code start.
+  */
+  const offsets = [0]
+  const pattern = /\r\n?|[\n\u2028\u2029]/g
+  let match
+  while ((match = pattern.exec(source)) !== null) {
+    offsets.push(match.index + match[0].length)
+  }
+  return offsets
+}
+
+function positionOf(offsets, offset) {
+  /*
+  Returns the line and column of the `offset` within the code whose line `offsets` are provided.
+  */
+  let low = 0
+  let high = offsets.length - 1
+  while (low < high) {
+    const middle = (low + high + 1) >> 1
+    if (offsets[middle] <= offset) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return { line: low + 1, column: offset - offsets[low] }
+}
+
+function isWordCharacter(code, index) {
+  /*
+  Returns `true` if the character at `index` of `code` can be part of a word.
+  */
+  return index >= 0 && index < code.length && /[\w$]/.test(code[index])
+}
+
+function findToken(source, token, from, to) {
+  /*
+  Returns the offset of the first occurrence of `token` within the `from` and `to` offsets of the `source` code, or `-1`.
+  Words are only matched as a whole.
+  */
+  const isWord = /^[\w$]+$/.test(token)
+  let index = source.indexOf(token, from)
+  while (index !== -1 && index + token.length <= to) {
+    if (
+      !isWord ||
+      !(
+        isWordCharacter(source, index - 1) ||
+        isWordCharacter(source, index + token.length)
+      )
+    ) {
+      return index
+    }
+    index = source.indexOf(token, index + 1)
+  }
+  return -1
+}
+
+function offsetOf(text, position) {
+  /*
+  Returns the offset of the `position` in the original source `text`.
+  */
+  return text.offsets[position.line - 1] + position.column
+}
+
+function endOffsetOf(text, node) {
+  /*
+  Returns the offset in the original source `text` up to which the tokens of `node` are searched.
+  It includes the closing parentheses that follow it, as some nodes write their own parentheses.
+  */
+  const { content } = text
+  let offset = offsetOf(text, node.loc.end)
+  while (offset < content.length && /[\s)]/.test(content[offset])) {
+    offset++
+  }
+  return offset
+}
+
+function moveCursor(text, offset) {
+  /*
+  Moves the cursor of the original source `text` to `offset`, unless it is already beyond it.
+  */
+  if (offset > text.cursor) {
+    text.cursor = offset
+  }
+}
+
+function tokenGenerator(generator) {
+  /*
+  Returns a copy of `generator` that keeps track of the nodes being generated and maps their ends.
+  */
+  const handlers = {}
+  return new Proxy(generator, {
+    get(target, type) {
+      const handler = target[type]
+      if (typeof handler !== 'function') {
+        return handler
+      }
+      let tokenHandler = handlers[type]
+      if (tokenHandler == null || tokenHandler.handler !== handler) {
+        tokenHandler = function (node, state) {
+          state.nodes.push(node)
+          handler.call(this, node, state)
+          state.nodes.pop()
+          state.mapEnd(node)
+        }
+        tokenHandler.handler = handler
+        handlers[type] = tokenHandler
+      }
+      return tokenHandler
+    },
+  })
+}
 
 class State {
   constructor(options) {
@@ -1001,26 +1442,116 @@ class State {
       this.output = ''
     }
     this.generator = setup.generator != null ? setup.generator : baseGenerator
+    // Precedence of the expressions and binary operators the generator writes
+    const { expressionsPrecedence, operatorPrecedence } = this.generator
+    this.expressionsPrecedence =
+      expressionsPrecedence != null
+        ? expressionsPrecedence
+        : EXPRESSIONS_PRECEDENCE
+    this.operatorPrecedence =
+      operatorPrecedence != null ? operatorPrecedence : OPERATOR_PRECEDENCE
+    if (setup.lenient) {
+      this.generator = lenientGenerator(this.generator)
+    }
+    // Generator that does not map the code it writes, used by probe states
+    this.probeGenerator = this.generator
+    // State used to check whether statements are written on a single line
+    this.probe = null
+    // Statements found to span several lines by the probe state
+    this.multiLineBodies = null
+    // Bodies being written, innermost last, if this is a probe state
+    this.probedBodies = null
     // Formating setup
     this.indent = setup.indent != null ? setup.indent : '  '
     this.lineEnd = setup.lineEnd != null ? setup.lineEnd : '\n'
     this.indentLevel =
       setup.startingIndentLevel != null ? setup.startingIndentLevel : 0
     this.writeComments = setup.comments ? setup.comments : false
+    this.literals = setup.literals != null ? setup.literals : 'trustRaw'
+    this.quotes = setup.quotes != null ? setup.quotes : 'preserve'
+    this.quoteProps = setup.quoteProps != null ? setup.quoteProps : 'preserve'
+    this.curly = setup.curly != null ? setup.curly : 'preserve'
+    // Original source code, used to locate errors
+    this.sourceContent = setup.sourceContent
+    // Original source code of each source, for nodes with a `loc.source`
+    this.sourcesContent =
+      setup.sourcesContent != null ? setup.sourcesContent : EMPTY_OBJECT
+    // Whether the keys of the current object or class must all be quoted
+    this.quotedKeys = false
+    // Comments appended to the generated code
+    this.sourceURL = setup.sourceURL
+    this.sourceMappingURL = setup.sourceMappingURL
+    this.inlineSourceMap = setup.sourceMap === 'inline'
     // Source map
-    if (setup.sourceMap != null) {
+    if (setup.sourceMap) {
       this.write =
         setup.output == null ? this.writeAndMap : this.writeToStreamAndMap
-      this.sourceMap = setup.sourceMap
+      let source
+      if (setup.sourceMap === true || setup.sourceMap === 'inline') {
+        source =
+          setup.sourceFile != null
+            ? setup.sourceFile
+            : setup.file != null
+            ? setup.file
+            : '<anonymous>'
+        this.sourceMap = new SourceMapBuilder(setup.file)
+        if (setup.sourceContent != null) {
+          this.sourceMap.setSourceContent(source, setup.sourceContent)
+        }
+      } else {
+        source = setup.sourceMap.file || setup.sourceMap._file
+        this.sourceMap = setup.sourceMap
+      }
+      // Source of the nodes without a `loc.source` property
+      this.source = source
+      const sources = Object.keys(this.sourcesContent)
+      for (let i = 0; i < sources.length; i++) {
+        this.sourceMap.setSourceContent(
+          sources[i],
+          this.sourcesContent[sources[i]],
+        )
+      }
+      // Source map of the code the nodes of the default source come from
+      this.inputSourceMap = null
+      if (setup.inputSourceMap != null) {
+        const inputSourceMap = new SourceMapTracer(setup.inputSourceMap)
+        const { sources, sourcesContent } = inputSourceMap
+        if (sourcesContent != null) {
+          for (let i = 0; i < sources.length; i++) {
+            if (sources[i] != null && sourcesContent[i] != null) {
+              this.sourceMap.setSourceContent(sources[i], sourcesContent[i])
+            }
+          }
+        }
+        this.inputSourceMap = inputSourceMap
+        this.tracedMapping = {
+          original: { line: 1, column: 0 },
+          generated: this,
+          name: undefined,
+          source: undefined,
+        }
+      }
       this.line = 1
       this.column = 0
-      this.lineEndSize = this.lineEnd.split('\n').length - 1
+      // Whether the last written character is a carriage return
+      this.afterCarriageReturn = false
+      // Whether columns are counted in code points instead of UTF-16 code units
+      this.codePointColumns = setup.columnUnits === 'codePoints'
       this.mapping = {
         original: null,
         // Uses the entire state to avoid generating ephemeral objects
         generated: this,
         name: undefined,
-        source: setup.sourceMap.file || setup.sourceMap._file,
+        source,
+      }
+      if (setup.tokenMappings) {
+        // Nodes being generated, the innermost one being the last
+        this.nodes = []
+        this.generator = tokenGenerator(this.generator)
+      }
+      if (setup.tokenMappings || this.codePointColumns) {
+        // Original source code of each source, in which tokens are searched
+        this.sourceTexts = {}
       }
     }
   }
@@ -1033,6 +1564,12 @@ class State {
     this.output.write(code)
   }
 
+  writeToProbe(code) {
+    if (LINE_TERMINATOR.test(code)) {
+      throw MULTI_LINE
+    }
+  }
+
   writeAndMap(code, node) {
     this.output += code
     this.map(code, node)
@@ -1048,51 +1585,274 @@ class State {
       const { type } = node
       if (type[0] === 'L' && type[2] === 'n') {
         // LineComment
-        this.column = 0
-        this.line++
+        this.advance(code)
         return
       }
-      if (node.loc != null) {
+      const { loc } = node
+      if (loc != null) {
         const { mapping } = this
-        mapping.original = node.loc.start
-        mapping.name = node.name
-        this.sourceMap.addMapping(mapping)
-      }
-      if (
-        (type[0] === 'T' && type[8] === 'E') ||
-        (type[0] === 'L' && type[1] === 'i' && typeof node.value === 'string')
-      ) {
-        // TemplateElement or Literal string node
-        const { length } = code
-        let { column, line } = this
-        for (let i = 0; i < length; i++) {
-          if (code[i] === '\n') {
-            column = 0
-            line++
+        mapping.original = loc.start
+        mapping.source = loc.source != null ? loc.source : this.source
+        mapping.name = node.originalName != null ? node.originalName : node.name
+        this.addMapping(mapping)
+        if (this.nodes != null) {
+          if (
+            type.slice(-7) === 'Literal' ||
+            type === 'TemplateElement' ||
+            type === 'JSXText'
+          ) {
+            // Skips the content of literals
+            const text = this.sourceText(mapping.source)
+            if (text != null) {
+              moveCursor(
+                text,
+                Math.min(
+                  offsetOf(text, loc.start) + code.length,
+                  offsetOf(text, loc.end),
+                ),
+              )
+            }
           } else {
-            column++
+            this.mapTokens(code, node, true)
           }
         }
-        this.column = column
-        this.line = line
-        return
       }
+    } else if (this.nodes != null) {
+      this.mapTokens(code, this.nodes[this.nodes.length - 1], false)
     }
+    this.advance(code)
+  }
+
+  advance(code) {
+    /*
+    Moves the generated position past the written `code`.
+    */
     const { length } = code
-    const { lineEnd } = this
-    if (length > 0) {
+    if (length === 0) {
+      return
+    }
+    if (!LINE_TERMINATOR.test(code)) {
+      // Stays on the same line, where only astral characters need scanning
+      this.column +=
+        this.codePointColumns && SURROGATE.test(code)
+          ? codePointLength(code, 0, length)
+          : length
+      this.afterCarriageReturn = false
+      return
+    }
+    let { line } = this
+    let lineStart = 0
+    for (let i = 0; i < length; i++) {
+      const char = code.charCodeAt(i)
+      if (char === 10) {
+        // Line feed, unless it follows a carriage return
+        if (i > 0 ? code.charCodeAt(i - 1) !== 13 : !this.afterCarriageReturn) {
+          line++
+        }
+        lineStart = i + 1
+      } else if (char === 13 || char === 0x2028 || char === 0x2029) {
+        // Carriage return, line separator or paragraph separator
+        line++
+        lineStart = i + 1
+      }
+    }
+    if (lineStart > 0) {
+      this.line = line
+      this.column = 0
+    }
+    this.column += this.codePointColumns
+      ? codePointLength(code, lineStart, length)
+      : length - lineStart
+    this.afterCarriageReturn = code.charCodeAt(length - 1) === 13
+  }
+
+  addMapping(mapping) {
+    /*
+    Adds the `mapping` to the source map, tracing it back through the input source map if it points to the default source.
+    */
+    const { inputSourceMap } = this
+    if (inputSourceMap == null || mapping.source !== this.source) {
+      if (this.codePointColumns) {
+        mapping.original = this.codePointPosition(
+          mapping.source,
+          mapping.original,
+        )
+      }
+      this.sourceMap.addMapping(mapping)
+      return
+    }
+    const segment = inputSourceMap.originalSegmentFor(mapping.original)
+    if (segment == null) {
+      // Drops the mappings that cannot be traced back to an original source
+      return
+    }
+    const { tracedMapping } = this
+    tracedMapping.source = inputSourceMap.sources[segment[1]]
+    tracedMapping.original.line = segment[2] + 1
+    tracedMapping.original.column = segment[3]
+    tracedMapping.name =
+      segment.length > 4 ? inputSourceMap.names[segment[4]] : mapping.name
+    this.sourceMap.addMapping(tracedMapping)
+  }
+
+  codePointPosition(source, position) {
+    /*
+    Returns the `position` within the original `source` with its column counted in code points, if the content of that source is provided.
+    */
+    const text = this.sourceText(source)
+    if (text == null) {
+      return position
+    }
+    const start = text.offsets[position.line - 1]
+    if (start === undefined) {
+      return position
+    }
+    const column = codePointLength(text.content, start, start + position.column)
+    return column === position.column
+      ? position
+      : { line: position.line, column }
+  }
+
+  mapTokens(code, node, isNodeStart) {
+    /*
+    Maps the tokens of `code` to their occurrences in the original source code of `node`.
+    If `isNodeStart` is `true`, the first token is the start of `node` and is already mapped.
+    */
+    if (node == null || node.loc == null) {
+      return
+    }
+    const text = this.sourceText(
+      node.loc.source != null ? node.loc.source : this.source,
+    )
+    if (text == null) {
+      return
+    }
+    const endOffset = endOffsetOf(text, node)
+    const lineBreak = code.search(/[\n\r\u2028\u2029]/)
+    const pattern = /\$\{|[\w$]+|[^\s\w$]+/g
+    let match
+    if (isNodeStart) {
+      match = pattern.exec(code)
+      if (match === null) {
+        return
+      }
+      moveCursor(text, offsetOf(text, node.loc.start) + pattern.lastIndex)
+    }
+    while ((match = pattern.exec(code)) !== null) {
+      const { index } = match
+      if (lineBreak !== -1 && index > lineBreak) {
+        break
+      }
+      const token = match[0]
+      const column =
+        this.column +
+        (this.codePointColumns ? codePointLength(code, 0, index) : index)
       if (
-        this.lineEndSize > 0 &&
-        (lineEnd.length === 1
-          ? code[length - 1] === lineEnd
-          : code.endsWith(lineEnd))
+        !this.mapToken(text, token, column, endOffset) &&
+        token.length > 1 &&
+        !isWordCharacter(token, 0)
       ) {
-        this.line += this.lineEndSize
-        this.column = 0
+        // Punctuators written together might be apart in the original code
+        for (let i = 0; i < token.length; i++) {
+          this.mapToken(text, token[i], column + i, endOffset)
+        }
+      }
+    }
+  }
+
+  mapToken(text, token, column, endOffset) {
+    /*
+    Maps the `token` written at `column` to its first occurrence in the original source `text` before `endOffset`.
+    Returns `true` if it is found.
+    */
+    const offset = findToken(text.content, token, text.cursor, endOffset)
+    if (offset === -1) {
+      return false
+    }
+    const { mapping } = this
+    mapping.original = positionOf(text.offsets, offset)
+    mapping.source = text.source
+    mapping.name = undefined
+    const generatedColumn = this.column
+    this.column = column
+    this.addMapping(mapping)
+    this.column = generatedColumn
+    text.cursor = offset + token.length
+    return true
+  }
+
+  mapEnd(node) {
+    /*
+    Maps the current position to the end of `node`.
+    */
+    const { loc } = node
+    if (loc == null || loc.end == null) {
+      return
+    }
+    const { mapping } = this
+    mapping.original = loc.end
+    mapping.source = loc.source != null ? loc.source : this.source
+    mapping.name = undefined
+    const text = this.sourceText(mapping.source)
+    if (text != null) {
+      const offset = offsetOf(text, loc.end)
+      if (text.cursor > offset) {
+        // Includes the parentheses written by the node itself
+        mapping.original = positionOf(text.offsets, text.cursor)
       } else {
-        this.column += length
+        text.cursor = offset
       }
     }
+    this.addMapping(mapping)
+  }
+
+  sourceText(source) {
+    /*
+    Returns the original code of `source`, along with its line offsets and the cursor from which tokens are searched, or `null` if it is not provided.
+    */
+    let text = this.sourceTexts[source]
+    if (text === undefined) {
+      const content = sourceContentOf(this, { source })
+      text =
+        content == null
+          ? null
+          : { source, content, offsets: lineOffsets(content), cursor: 0 }
+      this.sourceTexts[source] = text
+    }
+    return text
+  }
+
+  writeSourceURLs(node) {
+    /*
+    Writes the `sourceURL` and `sourceMappingURL` comments, if any, on their own lines after the generated code of the root `node`.
+    */
+    const { lineEnd } = this
+    let sourceMappingURL = this.sourceMappingURL
+    if (this.inlineSourceMap) {
+      sourceMappingURL =
+        'data:application/json;charset=utf-8;base64,' +
+        encodeBase64Text(this.sourceMap.toString())
+    }
+    if (this.sourceURL == null && sourceMappingURL == null) {
+      return
+    }
+    const { output } = this
+    if (
+      typeof output === 'string'
+        ? output.length > 0 && !output.endsWith(lineEnd)
+        : this.sourceMap != null
+        ? this.column > 0
+        : // A program is the only node that ends with a line end
+          node.type !== 'Program'
+    ) {
+      this.write(lineEnd)
+    }
+    if (this.sourceURL != null) {
+      this.write('//# sourceURL=' + this.sourceURL + lineEnd)
+    }
+    if (sourceMappingURL != null) {
+      this.write('//# sourceMappingURL=' + sourceMappingURL + lineEnd)
+    }
   }
 
   toString() {
@@ -1111,9 +1871,45 @@ export function generate(node, options) {
   - `comments`: generate comments if `true` (defaults to `false`)
   - `output`: output stream to write the rendered code to (defaults to `null`)
   - `generator`: custom code generator (defaults to `baseGenerator`)
+  - `sourceMap`: source map generator, or `true` to build a source map and return it along with the code as `{ code, map }`, or as `{ map }` if the code is written to an `output` stream, or `"inline"` to append it to the code as a `sourceMappingURL` data URL (defaults to `null`)
+  - `sourceMappingURL`: URL of the source map to append as a `//# sourceMappingURL=` comment (defaults to `undefined`)
+  - `sourceURL`: name of the generated code to append as a `//# sourceURL=` comment (defaults to `undefined`)
+  - `file`: name of the generated file in the built source map (defaults to `undefined`)
+  - `sourceFile`: name of the original file in the built source map (defaults to `file`)
+  - `inputSourceMap`: source map of the code the AST was parsed from, through which the mappings of the default source are traced back to its original sources (defaults to `null`)
+  - `sourcesContent`: original source code of each source file, by name, for nodes with a `loc.source` property (defaults to `{}`)
+  - `columnUnits`: `"utf16"` or `"codePoints"`, the units in which the columns of the source map are counted (defaults to `"utf16"`)
+  - `tokenMappings`: map node ends and, with `sourceContent`, keywords and punctuators if `true` (defaults to `false`)
+  - `ecmaVersion`: ECMAScript version to check the AST against before generating it, throwing on syntax it does not support, on nodes not allowed by the `sourceType` and on sloppy mode syntax in strict mode code (defaults to `null`)
+  - `sourceType`: `"script"` or `"module"`, used with `ecmaVersion` (defaults to `"module"`)
   */
   const state = new State(options)
+  if (options != null && options.ecmaVersion != null) {
+    const diagnostics = validate(node, {
+      ecmaVersion: options.ecmaVersion,
+      sourceType: options.sourceType,
+      generator: state.generator,
+    })
+    for (let i = 0; i < diagnostics.length; i++) {
+      // Other issues with the tree are left to the generator
+      if (diagnostics[i].kind !== 'tree') {
+        throw diagnosticError(diagnostics[i], state)
+      }
+    }
+  }
   // Travel through the AST node and generate the code
-  state.generator[node.type](node, state)
+  try {
+    state.generator[node.type](node, state)
+  } catch (error) {
+    throw locateError(error, node, options)
+  }
+  state.writeSourceURLs(node)
+  if (state.sourceMap instanceof SourceMapBuilder && !state.inlineSourceMap) {
+    const map = state.sourceMap.toJSON()
+    // The code is not returned if it was written to an output stream
+    return options.output == null ? { code: state.output, map } : { map }
+  }
   return state.output
 }
+
+export { ecmaFeatures, validate } from './validate'
@@ -0,0 +1,203 @@
+import { baseGenerator } from './astring'
+import {
+  EXPRESSIONS_PRECEDENCE,
+  formatClassKey,
+  formatImportAttributes,
+  formatMethod,
+  formatSequence,
+  formatString,
+  literalCode,
+  literalRaw,
+  rawCode,
+  requote,
+  stringCode,
+  stringQuote,
+} from './format'
+
+const BABEL_EXPRESSIONS_PRECEDENCE = Object.assign({}, EXPRESSIONS_PRECEDENCE, {
+  PrivateName: 20,
+  StringLiteral: 18,
+  NumericLiteral: 18,
+  BigIntLiteral: 18,
+  BooleanLiteral: 18,
+  NullLiteral: 18,
+  RegExpLiteral: 18,
+  // Optional chains must be enclosed in parentheses to be directly called or accessed
+  OptionalMemberExpression: 18,
+  OptionalCallExpression: 18,
+})
+
+function isOptionalChain(node) {
+  /*
+  Returns `true` if `node` is a Babel optional chain element.
+  */
+  const { type } = node
+  return (
+    type === 'OptionalMemberExpression' || type === 'OptionalCallExpression'
+  )
+}
+
+function formatDirectives(node) {
+  /*
+  Returns a copy of the Babel program or block `node` with its directives prepended to its statements, or the `node` itself if it has none.
+  */
+  const { directives } = node
+  return directives == null || directives.length === 0
+    ? node
+    : Object.assign({}, node, { body: directives.concat(node.body) })
+}
+
+let BabelClassMethod
+
+export const babelGenerator = Object.assign({}, baseGenerator, {
+  expressionsPrecedence: BABEL_EXPRESSIONS_PRECEDENCE,
+  File(node, state) {
+    this[node.program.type](node.program, state)
+  },
+  Program(node, state) {
+    const { interpreter } = node
+    if (interpreter != null) {
+      this[interpreter.type](interpreter, state)
+    }
+    baseGenerator.Program.call(this, formatDirectives(node), state)
+  },
+  InterpreterDirective(node, state) {
+    state.write('#!' + node.value, node)
+    state.write(state.lineEnd)
+  },
+  BlockStatement(node, state) {
+    baseGenerator.BlockStatement.call(this, formatDirectives(node), state)
+  },
+  Directive(node, state) {
+    this[node.value.type](node.value, state)
+    state.write(';')
+  },
+  ExpressionStatement(node, state) {
+    const { expression } = node
+    if (expression.type === 'StringLiteral') {
+      // Prevents the statement from being parsed as a directive
+      state.write('(')
+      this.StringLiteral(expression, state)
+      state.write(');')
+      return
+    }
+    baseGenerator.ExpressionStatement.call(this, node, state)
+  },
+  DirectiveLiteral(node, state) {
+    const raw = literalRaw(state, node, rawCode(node))
+    const { value } = node
+    const quote = stringQuote(state, value, false)
+    if (raw != null && (state.quotes === 'preserve' || raw[0] === quote)) {
+      state.write(raw, node)
+      return
+    }
+    // Directive values are not unescaped
+    state.write(
+      quote + requote(raw != null ? raw.slice(1, -1) : value, quote) + quote,
+      node,
+    )
+  },
+  StringLiteral(node, state) {
+    state.write(stringCode(state, node, rawCode(node), true), node)
+  },
+  NumericLiteral(node, state) {
+    const raw = literalRaw(state, node, rawCode(node))
+    state.write(raw != null ? raw : literalCode(node.value), node)
+  },
+  BigIntLiteral(node, state) {
+    const raw = literalRaw(state, node, rawCode(node))
+    state.write(raw != null ? raw : node.value + 'n', node)
+  },
+  BooleanLiteral(node, state) {
+    state.write(node.value ? 'true' : 'false', node)
+  },
+  NullLiteral(node, state) {
+    state.write('null', node)
+  },
+  RegExpLiteral(node, state) {
+    const raw = literalRaw(state, node, rawCode(node))
+    state.write(raw != null ? raw : `/${node.pattern}/${node.flags}`, node)
+  },
+  ObjectProperty(node, state) {
+    if (!node.shorthand) {
+      formatClassKey(state, node)
+      state.write(': ')
+    }
+    this[node.value.type](node.value, state)
+  },
+  ObjectMethod: (BabelClassMethod = function (node, state) {
+    formatMethod(state, node, node)
+  }),
+  ClassMethod: BabelClassMethod,
+  ClassPrivateMethod: BabelClassMethod,
+  ClassProperty: baseGenerator.PropertyDefinition,
+  ClassPrivateProperty: baseGenerator.PropertyDefinition,
+  ClassAccessorProperty: baseGenerator.AccessorProperty,
+  PrivateName(node, state) {
+    state.write('#' + node.id.name, node)
+  },
+  Import(node, state) {
+    state.write('import', node)
+  },
+  ExportNamedDeclaration(node, state) {
+    const { specifiers } = node
+    if (
+      specifiers.length > 0 &&
+      specifiers[0].type === 'ExportNamespaceSpecifier'
+    ) {
+      // Babel stores `export * as name from 'source'` as a named export
+      const { exported } = specifiers[0]
+      state.write('export * as ')
+      formatString(state, exported)
+      state.write(' from ')
+      formatString(state, node.source)
+      formatImportAttributes(state, node)
+      state.write(';')
+      return
+    }
+    baseGenerator.ExportNamedDeclaration.call(this, node, state)
+  },
+  OptionalMemberExpression(node, state) {
+    const { object } = node
+    if (
+      !isOptionalChain(object) &&
+      state.expressionsPrecedence[object.type] <
+        EXPRESSIONS_PRECEDENCE.MemberExpression
+    ) {
+      state.write('(')
+      this[object.type](object, state)
+      state.write(')')
+    } else {
+      this[object.type](object, state)
+    }
+    if (node.computed) {
+      if (node.optional) {
+        state.write('?.')
+      }
+      state.write('[')
+      this[node.property.type](node.property, state)
+      state.write(']')
+    } else {
+      state.write(node.optional ? '?.' : '.')
+      this[node.property.type](node.property, state)
+    }
+  },
+  OptionalCallExpression(node, state) {
+    const { callee } = node
+    if (
+      !isOptionalChain(callee) &&
+      state.expressionsPrecedence[callee.type] <
+        EXPRESSIONS_PRECEDENCE.CallExpression
+    ) {
+      state.write('(')
+      this[callee.type](callee, state)
+      state.write(')')
+    } else {
+      this[callee.type](callee, state)
+    }
+    if (node.optional) {
+      state.write('?.')
+    }
+    formatSequence(state, node['arguments'])
+  },
+})
@@ -0,0 +1,593 @@
+import {
+  EXPRESSIONS_PRECEDENCE,
+  formatComments,
+  formatList,
+  formatString,
+  formatVariableDeclaration,
+  literalCode,
+  literalRaw,
+  stringCode,
+} from './format'
+import {
+  formatType,
+  formatTypeList,
+  formatTypeParameters,
+  typedGenerator,
+  TYPES_PRECEDENCE,
+} from './typed'
+
+const FLOW_EXPRESSIONS_PRECEDENCE = Object.assign({}, EXPRESSIONS_PRECEDENCE, {
+  // Type casts are always enclosed in parentheses
+  TypeCastExpression: 20,
+})
+
+function formatObjectTypeMembers(state, members, exact, inexact) {
+  /*
+  Writes into `state` the `members` of a Flow object type or enum body on indented lines, within exact object braces if `exact` is `true` and followed by an ellipsis if `inexact` is `true`.
+  */
+  const open = exact ? '{|' : '{'
+  const close = exact ? '|}' : '}'
+  const { length } = members
+  if (length === 0) {
+    state.write(open + (inexact ? '...' : '') + close)
+    return
+  }
+  const { generator, lineEnd, writeComments } = state
+  const indent = state.indent.repeat(state.indentLevel++)
+  const memberIndent = indent + state.indent
+  state.write(open + lineEnd)
+  for (let i = 0; i < length; i++) {
+    const member = members[i]
+    if (writeComments && member.comments != null) {
+      formatComments(state, member.comments, memberIndent, lineEnd)
+    }
+    state.write(memberIndent)
+    generator[member.type](member, state)
+    state.write(',' + lineEnd)
+  }
+  if (inexact) {
+    state.write(memberIndent + '...' + lineEnd)
+  }
+  state.write(indent + close)
+  state.indentLevel--
+}
+
+function memberPosition(member) {
+  /*
+  Returns the start offset of the object type `member`, or `undefined` if it has no position.
+  */
+  const { range } = member
+  return range != null ? range[0] : member.start
+}
+
+function compareMemberPositions(first, second) {
+  return memberPosition(first) - memberPosition(second)
+}
+
+function objectTypeMembers(node) {
+  /*
+  Returns the members of the object type `node`, which stores each kind separately.
+  They are sorted back into their original order if they all have a position, and are otherwise listed as properties, indexers, call properties and internal slots.
+  */
+  const members = node.properties.concat(
+    node.indexers,
+    node.callProperties,
+    node.internalSlots != null ? node.internalSlots : [],
+  )
+  const { length } = members
+  for (let i = 0; i < length; i++) {
+    if (memberPosition(members[i]) == null) {
+      return members
+    }
+  }
+  return members.sort(compareMemberPositions)
+}
+
+function formatFunctionTypeParams(state, node) {
+  /*
+  Writes into `state` the type parameters and parameters of the Flow function type `node`.
+  */
+  const { generator } = state
+  formatTypeParameters(state, node.typeParameters)
+  state.write('(')
+  let separator = ''
+  if (node.this != null) {
+    state.write('this: ')
+    generator[node.this.type](node.this, state)
+    separator = ', '
+  }
+  const { params } = node
+  const { length } = params
+  for (let i = 0; i < length; i++) {
+    state.write(separator)
+    generator[params[i].type](params[i], state)
+    separator = ', '
+  }
+  if (node.rest != null) {
+    state.write(separator + '...')
+    generator[node.rest.type](node.rest, state)
+  }
+  state.write(')')
+}
+
+function formatFunctionTypeMethod(state, node) {
+  /*
+  Writes into `state` the Flow function type `node` as a method signature, with a colon before its return type.
+  */
+  formatFunctionTypeParams(state, node)
+  state.write(': ')
+  state.generator[node.returnType.type](node.returnType, state)
+}
+
+function formatHeritage(state, keyword, nodes) {
+  /*
+  Writes into `state` the `keyword` followed by the provided heritage `nodes`, if any.
+  */
+  if (nodes != null && nodes.length > 0) {
+    state.write(keyword + ' ')
+    formatList(state, nodes, ', ')
+    state.write(' ')
+  }
+}
+
+function formatDeclareClass(state, node) {
+  /*
+  Writes into `state` the Flow class declaration `node` without its `declare` keyword.
+  */
+  state.write('class ')
+  state.generator[node.id.type](node.id, state)
+  formatTypeParameters(state, node.typeParameters)
+  state.write(' ')
+  formatHeritage(state, 'extends', node['extends'])
+  formatHeritage(state, 'mixins', node.mixins)
+  formatHeritage(state, 'implements', node['implements'])
+  state.generator[node.body.type](node.body, state)
+}
+
+function formatDeclareFunction(state, node) {
+  /*
+  Writes into `state` the Flow function declaration `node` without its `declare` keyword.
+  */
+  const { id } = node
+  state.write('function ')
+  state.write(id.name, id)
+  formatFunctionTypeMethod(state, id.typeAnnotation.typeAnnotation)
+  const { predicate } = node
+  if (predicate != null) {
+    state.write(' ')
+    state.generator[predicate.type](predicate, state)
+  }
+  state.write(';')
+}
+
+function formatDeclareVariable(state, node) {
+  /*
+  Writes into `state` the Flow variable declaration `node` without its `declare` keyword.
+  */
+  if (node.declarations != null) {
+    formatVariableDeclaration(state, node)
+  } else {
+    // Older Flow parsers and Babel only provide a single identifier
+    state.write((node.kind != null ? node.kind : 'var') + ' ')
+    state.generator[node.id.type](node.id, state)
+  }
+  state.write(';')
+}
+
+function formatOpaqueType(state, node) {
+  /*
+  Writes into `state` the Flow opaque type `node` without its leading keywords.
+  */
+  const { generator } = state
+  generator[node.id.type](node.id, state)
+  formatTypeParameters(state, node.typeParameters)
+  const { supertype, impltype } = node
+  if (supertype != null) {
+    state.write(': ')
+    generator[supertype.type](supertype, state)
+  }
+  if (impltype != null) {
+    state.write(' = ')
+    generator[impltype.type](impltype, state)
+  }
+  state.write(';')
+}
+
+let TypeAlias,
+  TypeParameterDeclaration,
+  OpaqueType,
+  InterfaceDeclaration,
+  FlowKeyword,
+  FlowLiteralType,
+  FlowHeritage,
+  FlowEnumBody,
+  FlowEnumMember,
+  QualifiedTypeIdentifier
+
+export const flowGenerator = Object.assign({}, typedGenerator, {
+  expressionsPrecedence: FLOW_EXPRESSIONS_PRECEDENCE,
+  // Declarations
+  TypeAlias: (TypeAlias = function (node, state) {
+    state.write((node.type[0] === 'D' ? 'declare ' : '') + 'type ', node)
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+    state.write(' = ')
+    this[node.right.type](node.right, state)
+    state.write(';')
+  }),
+  DeclareTypeAlias: TypeAlias,
+  OpaqueType: (OpaqueType = function (node, state) {
+    state.write((node.type[0] === 'D' ? 'declare ' : '') + 'opaque type ', node)
+    formatOpaqueType(state, node)
+  }),
+  DeclareOpaqueType: OpaqueType,
+  InterfaceDeclaration: (InterfaceDeclaration = function (node, state) {
+    state.write((node.type[0] === 'D' ? 'declare ' : '') + 'interface ', node)
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+    state.write(' ')
+    formatHeritage(state, 'extends', node['extends'])
+    this[node.body.type](node.body, state)
+  }),
+  DeclareInterface: InterfaceDeclaration,
+  InterfaceExtends: (FlowHeritage = function (node, state) {
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+  }),
+  ClassImplements: FlowHeritage,
+  DeclareClass(node, state) {
+    state.write('declare ', node)
+    formatDeclareClass(state, node)
+  },
+  DeclareFunction(node, state) {
+    state.write('declare ', node)
+    formatDeclareFunction(state, node)
+  },
+  DeclareVariable(node, state) {
+    state.write('declare ', node)
+    formatDeclareVariable(state, node)
+  },
+  DeclareModule(node, state) {
+    state.write('declare module ', node)
+    formatString(state, node.id)
+    state.write(' ')
+    this[node.body.type](node.body, state)
+  },
+  DeclareModuleExports(node, state) {
+    state.write('declare module.exports', node)
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+    state.write(';')
+  },
+  DeclareExportDeclaration(node, state) {
+    state.write('declare ', node)
+    const { declaration } = node
+    if (declaration == null) {
+      this.ExportNamedDeclaration(node, state)
+      return
+    }
+    state.write(node['default'] ? 'export default ' : 'export ')
+    // Declarations within `declare export` omit their own `declare` keyword
+    const { type } = declaration
+    if (type === 'DeclareClass') {
+      formatDeclareClass(state, declaration)
+    } else if (type === 'DeclareFunction') {
+      formatDeclareFunction(state, declaration)
+    } else if (type === 'DeclareVariable') {
+      formatDeclareVariable(state, declaration)
+    } else if (type === 'DeclareOpaqueType') {
+      state.write('opaque type ')
+      formatOpaqueType(state, declaration)
+    } else {
+      this[type](declaration, state)
+      if (node['default']) {
+        // Default export of a type
+        state.write(';')
+      }
+    }
+  },
+  DeclareExportAllDeclaration(node, state) {
+    state.write('declare ', node)
+    this.ExportAllDeclaration(node, state)
+  },
+  EnumDeclaration(node, state) {
+    state.write('enum ', node)
+    this[node.id.type](node.id, state)
+    this[node.body.type](node.body, state)
+  },
+  EnumStringBody: (FlowEnumBody = function (node, state) {
+    // Symbol enum bodies lack the flag as they are always explicitly typed
+    if (node.explicitType !== false) {
+      // Type is derived from the body, e.g. `EnumBigIntBody` is `bigint`
+      state.write(' of ' + node.type.slice(4, -4).toLowerCase())
+    }
+    state.write(' ')
+    formatObjectTypeMembers(state, node.members, false, node.hasUnknownMembers)
+  }),
+  EnumNumberBody: FlowEnumBody,
+  EnumBooleanBody: FlowEnumBody,
+  EnumSymbolBody: FlowEnumBody,
+  EnumBigIntBody: FlowEnumBody,
+  EnumDefaultedMember(node, state) {
+    this[node.id.type](node.id, state)
+  },
+  EnumStringMember: (FlowEnumMember = function (node, state) {
+    this[node.id.type](node.id, state)
+    state.write(' = ')
+    this[node.init.type](node.init, state)
+  }),
+  EnumNumberMember: FlowEnumMember,
+  EnumBooleanMember: FlowEnumMember,
+  EnumBigIntMember: FlowEnumMember,
+  // Expressions
+  TypeCastExpression(node, state) {
+    state.write('(')
+    this[node.expression.type](node.expression, state)
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+    state.write(')')
+  },
+  InferredPredicate(node, state) {
+    state.write('%checks', node)
+  },
+  DeclaredPredicate(node, state) {
+    state.write('%checks(', node)
+    this[node.value.type](node.value, state)
+    state.write(')')
+  },
+  // Types
+  TypeAnnotation(node, state) {
+    state.write(': ')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  },
+  TypeParameterDeclaration: (TypeParameterDeclaration = function (node, state) {
+    state.write('<')
+    formatList(state, node.params, ', ')
+    state.write('>')
+  }),
+  TypeParameterInstantiation: TypeParameterDeclaration,
+  TypeParameter(node, state) {
+    state.write(node['const'] ? 'const ' : '', node)
+    if (node.variance != null) {
+      this[node.variance.type](node.variance, state)
+    }
+    state.write(node.name)
+    const { bound } = node
+    if (bound != null) {
+      if (node.usesExtendsBound) {
+        state.write(' extends ')
+        this[bound.typeAnnotation.type](bound.typeAnnotation, state)
+      } else {
+        this[bound.type](bound, state)
+      }
+    }
+    if (node['default'] != null) {
+      state.write(' = ')
+      this[node['default'].type](node['default'], state)
+    }
+  },
+  Variance(node, state) {
+    state.write(node.kind === 'plus' ? '+' : '-', node)
+  },
+  AnyTypeAnnotation: (FlowKeyword = function (node, state) {
+    // Keyword is derived from the type, e.g. `BigIntTypeAnnotation` is `bigint`
+    state.write(node.type.slice(0, -14).toLowerCase(), node)
+  }),
+  BigIntTypeAnnotation: FlowKeyword,
+  BooleanTypeAnnotation: FlowKeyword,
+  EmptyTypeAnnotation: FlowKeyword,
+  MixedTypeAnnotation: FlowKeyword,
+  NumberTypeAnnotation: FlowKeyword,
+  StringTypeAnnotation: FlowKeyword,
+  SymbolTypeAnnotation: FlowKeyword,
+  ThisTypeAnnotation: FlowKeyword,
+  VoidTypeAnnotation: FlowKeyword,
+  NullLiteralTypeAnnotation(node, state) {
+    state.write('null', node)
+  },
+  ExistsTypeAnnotation(node, state) {
+    state.write('*', node)
+  },
+  StringLiteralTypeAnnotation(node, state) {
+    state.write(stringCode(state, node, node.raw, false), node)
+  },
+  NumberLiteralTypeAnnotation: (FlowLiteralType = function (node, state) {
+    const raw = literalRaw(state, node, node.raw)
+    state.write(raw != null ? raw : literalCode(node.value), node)
+  }),
+  BooleanLiteralTypeAnnotation: FlowLiteralType,
+  BigIntLiteralTypeAnnotation(node, state) {
+    const raw = literalRaw(state, node, node.raw)
+    state.write(raw != null ? raw : node.bigint + 'n', node)
+  },
+  GenericTypeAnnotation(node, state) {
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+  },
+  QualifiedTypeIdentifier: (QualifiedTypeIdentifier = function (node, state) {
+    this[node.qualification.type](node.qualification, state)
+    state.write('.')
+    this[node.id.type](node.id, state)
+  }),
+  QualifiedTypeofIdentifier: QualifiedTypeIdentifier,
+  TypeofTypeAnnotation(node, state) {
+    state.write('typeof ', node)
+    this[node.argument.type](node.argument, state)
+    formatTypeParameters(state, node.typeArguments)
+  },
+  KeyofTypeAnnotation(node, state) {
+    state.write('keyof ', node)
+    formatType(state, node.argument, TYPES_PRECEDENCE.KeyofTypeAnnotation)
+  },
+  NullableTypeAnnotation(node, state) {
+    state.write('?', node)
+    formatType(
+      state,
+      node.typeAnnotation,
+      TYPES_PRECEDENCE.NullableTypeAnnotation,
+    )
+  },
+  ArrayTypeAnnotation(node, state) {
+    formatType(state, node.elementType, TYPES_PRECEDENCE.ArrayTypeAnnotation)
+    state.write('[]')
+  },
+  IndexedAccessType(node, state) {
+    formatType(state, node.objectType, TYPES_PRECEDENCE.IndexedAccessType)
+    state.write(node.optional ? '?.[' : '[')
+    this[node.indexType.type](node.indexType, state)
+    state.write(']')
+  },
+  OptionalIndexedAccessType(node, state) {
+    this.IndexedAccessType(node, state)
+  },
+  TupleTypeAnnotation(node, state) {
+    state.write('[')
+    // Older Flow parsers and Babel store the elements in `types`
+    const elementTypes =
+      node.elementTypes != null ? node.elementTypes : node.types
+    formatList(state, elementTypes, ', ')
+    if (node.inexact) {
+      state.write(elementTypes.length > 0 ? ', ...' : '...')
+    }
+    state.write(']')
+  },
+  TupleTypeLabeledElement(node, state) {
+    if (node.variance != null) {
+      this[node.variance.type](node.variance, state)
+    }
+    this[node.label.type](node.label, state)
+    state.write(node.optional ? '?: ' : ': ')
+    this[node.elementType.type](node.elementType, state)
+  },
+  TupleTypeSpreadElement(node, state) {
+    state.write('...', node)
+    if (node.label != null) {
+      this[node.label.type](node.label, state)
+      state.write(': ')
+    }
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  },
+  UnionTypeAnnotation(node, state) {
+    formatTypeList(
+      state,
+      node.types,
+      ' | ',
+      TYPES_PRECEDENCE.UnionTypeAnnotation,
+    )
+  },
+  IntersectionTypeAnnotation(node, state) {
+    formatTypeList(
+      state,
+      node.types,
+      ' & ',
+      TYPES_PRECEDENCE.IntersectionTypeAnnotation,
+    )
+  },
+  ConditionalTypeAnnotation(node, state) {
+    formatType(
+      state,
+      node.checkType,
+      TYPES_PRECEDENCE.ConditionalTypeAnnotation + 1,
+    )
+    state.write(' extends ')
+    formatType(
+      state,
+      node.extendsType,
+      TYPES_PRECEDENCE.ConditionalTypeAnnotation + 1,
+    )
+    state.write(' ? ')
+    this[node.trueType.type](node.trueType, state)
+    state.write(' : ')
+    this[node.falseType.type](node.falseType, state)
+  },
+  InferTypeAnnotation(node, state) {
+    state.write('infer ', node)
+    this[node.typeParameter.type](node.typeParameter, state)
+  },
+  FunctionTypeAnnotation(node, state) {
+    formatFunctionTypeParams(state, node)
+    state.write(' => ')
+    this[node.returnType.type](node.returnType, state)
+  },
+  FunctionTypeParam(node, state) {
+    const { name } = node
+    if (name != null) {
+      this[name.type](name, state)
+      state.write(node.optional ? '?: ' : ': ')
+    }
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  },
+  ObjectTypeAnnotation(node, state) {
+    formatObjectTypeMembers(
+      state,
+      objectTypeMembers(node),
+      node.exact,
+      node.inexact,
+    )
+  },
+  ObjectTypeProperty(node, state) {
+    if (node['static']) {
+      state.write('static ')
+    }
+    if (node.proto) {
+      state.write('proto ')
+    }
+    if (node.variance != null) {
+      this[node.variance.type](node.variance, state)
+    }
+    const { kind, value } = node
+    if (kind === 'get' || kind === 'set') {
+      state.write(kind + ' ')
+    }
+    this[node.key.type](node.key, state)
+    if (node.method || kind === 'get' || kind === 'set') {
+      formatFunctionTypeMethod(state, value)
+    } else {
+      state.write(node.optional ? '?: ' : ': ')
+      this[value.type](value, state)
+    }
+  },
+  ObjectTypeSpreadProperty(node, state) {
+    state.write('...')
+    this[node.argument.type](node.argument, state)
+  },
+  ObjectTypeIndexer(node, state) {
+    if (node['static']) {
+      state.write('static ')
+    }
+    if (node.variance != null) {
+      this[node.variance.type](node.variance, state)
+    }
+    state.write('[')
+    if (node.id != null) {
+      this[node.id.type](node.id, state)
+      state.write(': ')
+    }
+    this[node.key.type](node.key, state)
+    state.write(']: ')
+    this[node.value.type](node.value, state)
+  },
+  ObjectTypeCallProperty(node, state) {
+    if (node['static']) {
+      state.write('static ')
+    }
+    formatFunctionTypeMethod(state, node.value)
+  },
+  ObjectTypeInternalSlot(node, state) {
+    if (node['static']) {
+      state.write('static ')
+    }
+    state.write('[[')
+    this[node.id.type](node.id, state)
+    state.write(']]')
+    if (node.method) {
+      formatFunctionTypeMethod(state, node.value)
+    } else {
+      state.write(node.optional ? '?: ' : ': ')
+      this[node.value.type](node.value, state)
+    }
+  },
+  InterfaceTypeAnnotation(node, state) {
+    state.write('interface ', node)
+    formatHeritage(state, 'extends', node['extends'])
+    this[node.body.type](node.body, state)
+  },
+})
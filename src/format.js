@@ -0,0 +1,776 @@
+// Helpers shared by the base generator and the dialect generators
+
+const { stringify } = JSON
+
+export const OPERATOR_PRECEDENCE = {
+  '??': 3,
+  '||': 3,
+  '&&': 4,
+  '|': 5,
+  '^': 6,
+  '&': 7,
+  '==': 8,
+  '!=': 8,
+  '===': 8,
+  '!==': 8,
+  '<': 9,
+  '>': 9,
+  '<=': 9,
+  '>=': 9,
+  in: 9,
+  instanceof: 9,
+  '<<': 10,
+  '>>': 10,
+  '>>>': 10,
+  '+': 11,
+  '-': 11,
+  '*': 12,
+  '%': 12,
+  '/': 12,
+  '**': 13,
+}
+
+function binaryOperator(node) {
+  /*
+  Returns the operator of a binary-like `node`, or its type if it has none, such as a TypeScript `as` expression.
+  */
+  return node.operator != null ? node.operator : node.type
+}
+
+// Enables parenthesis regardless of precedence
+export const NEEDS_PARENTHESES = 17
+
+export const EXPRESSIONS_PRECEDENCE = {
+  // Definitions
+  ArrayExpression: 20,
+  TaggedTemplateExpression: 20,
+  ThisExpression: 20,
+  Identifier: 20,
+  PrivateIdentifier: 20,
+  Literal: 18,
+  TemplateLiteral: 20,
+  Super: 20,
+  SequenceExpression: 20,
+  // Operations
+  MemberExpression: 19,
+  CallExpression: 19,
+  NewExpression: 19,
+  ImportExpression: 19,
+  // Optional chains must be enclosed in parentheses to be directly called or accessed
+  ChainExpression: 18,
+  // Other definitions
+  ClassExpression: NEEDS_PARENTHESES,
+  FunctionExpression: NEEDS_PARENTHESES,
+  ObjectExpression: NEEDS_PARENTHESES,
+  // Other operations
+  UpdateExpression: 16,
+  UnaryExpression: 15,
+  BinaryExpression: 14,
+  LogicalExpression: 13,
+  ConditionalExpression: 4,
+  AssignmentExpression: 3,
+  ArrowFunctionExpression: 3,
+  AwaitExpression: 2,
+  YieldExpression: 2,
+  RestElement: 1,
+}
+
+export function formatSequence(state, nodes) {
+  /*
+  Writes into `state` a sequence of `nodes`.
+  */
+  const { generator } = state
+  state.write('(')
+  if (nodes != null && nodes.length > 0) {
+    generator[nodes[0].type](nodes[0], state)
+    const { length } = nodes
+    for (let i = 1; i < length; i++) {
+      const param = nodes[i]
+      state.write(', ')
+      generator[param.type](param, state)
+    }
+  }
+  state.write(')')
+}
+
+export function formatList(state, nodes, separator) {
+  /*
+  Writes into `state` the provided `nodes` separated with `separator`.
+  */
+  const { generator } = state
+  const { length } = nodes
+  for (let i = 0; i < length; i++) {
+    if (i > 0) {
+      state.write(separator)
+    }
+    const node = nodes[i]
+    generator[node.type](node, state)
+  }
+}
+
+export function rawCode(node) {
+  /*
+  Returns the raw code of the Babel literal `node`, if available.
+  */
+  const { extra } = node
+  return extra != null ? extra.raw : undefined
+}
+
+export function literalCode(value) {
+  /*
+  Returns the code of the primitive, regular expression, or big integer `value` of a literal.
+  */
+  if (value === undefined) {
+    return 'void 0'
+  }
+  const type = typeof value
+  if (type === 'number') {
+    // Covers `NaN` and `Infinity`, which are not valid JSON
+    return Object.is(value, -0) ? '-0' : String(value)
+  }
+  if (type === 'bigint') {
+    return value + 'n'
+  }
+  if (value instanceof RegExp) {
+    return `/${value.source}/${value.flags}`
+  }
+  if (type === 'string' || type === 'boolean' || value === null) {
+    return stringify(value)
+  }
+  throw new Error(`Cannot write a literal of type ${type}`)
+}
+
+// Matches the escape sequences and line continuations of strings and templates
+const ESCAPE_SEQUENCE = /\\(?:(\r\n|[\n\r\u2028\u2029])|u\{([\da-fA-F]+)\}|u([\da-fA-F]{4})|x([\da-fA-F]{2})|([0-3][0-7]{0,2}|[4-7][0-7]?)|([^]))/g
+
+const SINGLE_CHARACTER_ESCAPES = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+}
+
+function unescapeSequence(
+  match,
+  lineTerminator,
+  codePoint,
+  codeUnit,
+  byte,
+  octal,
+  character,
+) {
+  /*
+  Returns the characters of an escape sequence matched by `ESCAPE_SEQUENCE`.
+  */
+  if (lineTerminator != null) {
+    // Line continuation
+    return ''
+  }
+  const hexadecimal = codePoint || codeUnit || byte
+  if (hexadecimal != null) {
+    const code = parseInt(hexadecimal, 16)
+    return code > 0x10ffff ? match : String.fromCodePoint(code)
+  }
+  if (octal != null) {
+    return String.fromCharCode(parseInt(octal, 8))
+  }
+  const escaped = SINGLE_CHARACTER_ESCAPES[character]
+  return escaped != null ? escaped : character
+}
+
+// Matches the character references of a JSX text
+const CHARACTER_REFERENCE = /&(?:#x([\da-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g
+
+const NAMED_CHARACTERS = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+}
+
+function decodeCharacterReference(match, hexadecimal, decimal, name) {
+  /*
+  Returns the character of a reference matched by `CHARACTER_REFERENCE`.
+  */
+  if (name != null) {
+    return NAMED_CHARACTERS[name]
+  }
+  const code =
+    hexadecimal != null ? parseInt(hexadecimal, 16) : parseInt(decimal, 10)
+  return code > 0x10ffff ? match : String.fromCodePoint(code)
+}
+
+function numericValue(raw) {
+  /*
+  Returns the value of the `raw` code of a numeric or big integer literal, or `undefined` if it cannot be evaluated.
+  */
+  const code = raw.replace(/_/g, '')
+  if (code[code.length - 1] === 'n') {
+    if (typeof BigInt === 'undefined') {
+      return undefined
+    }
+    try {
+      return BigInt(code.slice(0, -1))
+    } catch (error) {
+      return undefined
+    }
+  }
+  if (/^0\d+$/.test(code) && !/[89]/.test(code)) {
+    // Legacy octal literal
+    return parseInt(code, 8)
+  }
+  return Number(code)
+}
+
+function isRawValid(node, raw) {
+  /*
+  Returns `true` if the `raw` code of the literal `node` evaluates to its value.
+  */
+  const { type } = node
+  const regex = type === 'RegExpLiteral' ? node : node.regex
+  if (regex != null) {
+    return raw === `/${regex.pattern}/${regex.flags}`
+  }
+  if (type === 'JSXText') {
+    // Only character references are decoded, and some characters must be encoded
+    return (
+      !/[<>{}]/.test(raw) &&
+      raw.replace(CHARACTER_REFERENCE, decodeCharacterReference) === node.value
+    )
+  }
+  const quote = raw[0]
+  const isQuoted =
+    (quote === '"' || quote === "'") && raw[raw.length - 1] === quote
+  const { value } = node
+  if (type === 'DirectiveLiteral') {
+    // Directives are not unescaped
+    return isQuoted && raw.slice(1, -1) === value
+  }
+  if (type === 'BigIntLiteral' || node.bigint != null) {
+    const expected = numericValue((type[0] === 'B' ? value : node.bigint) + 'n')
+    return expected != null && String(numericValue(raw)) === String(expected)
+  }
+  if (typeof value === 'string') {
+    return (
+      isQuoted &&
+      raw.slice(1, -1).replace(ESCAPE_SEQUENCE, unescapeSequence) === value
+    )
+  }
+  if (typeof value === 'number') {
+    return Object.is(numericValue(raw), value)
+  }
+  return raw === String(value)
+}
+
+export function literalRaw(state, node, raw) {
+  /*
+  Returns the `raw` code of the literal `node` if it should be written according to the `literals` option, `undefined` otherwise.
+  */
+  if (raw == null) {
+    return undefined
+  }
+  const { literals } = state
+  if (literals === 'trustRaw') {
+    return raw
+  }
+  return literals === 'verifyRaw' && isRawValid(node, raw) ? raw : undefined
+}
+
+export function templateElementRaw(state, node) {
+  /*
+  Returns the raw code of the template element `node` according to the `literals` option.
+  */
+  const { raw, cooked } = node.value
+  if (cooked == null) {
+    // Contains invalid escape sequences, which tagged templates allow
+    return raw
+  }
+  if (raw != null) {
+    const { literals } = state
+    if (
+      literals === 'trustRaw' ||
+      (literals === 'verifyRaw' &&
+        raw
+          .replace(/\r\n?/g, '\n')
+          .replace(ESCAPE_SEQUENCE, unescapeSequence) === cooked)
+    ) {
+      return raw
+    }
+  }
+  return cooked.replace(/\\|`|\$\{|\r/g, (match) =>
+    match === '\r' ? '\\r' : '\\' + match,
+  )
+}
+
+// Matches the escape sequences, quotes and substitutions of a string content
+const QUOTE_SEQUENCE = /\\[^]|["'`]|\$\{/g
+
+// Matches the escape sequences of a string content that templates do not allow
+const LEGACY_ESCAPE = /(?:^|[^\\])(?:\\\\)*\\(?:[1-9]|0\d)/
+
+// Property keys that can be written without quotes
+const IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/
+
+export function isStringLiteral(node) {
+  /*
+  Returns `true` if `node` is a string literal.
+  */
+  const { type } = node
+  return (
+    (type === 'Literal' || type === 'StringLiteral') &&
+    typeof node.value === 'string'
+  )
+}
+
+export function requote(content, quote) {
+  /*
+  Returns the string `content` escaped for the provided `quote`, keeping its escape sequences.
+  */
+  return content.replace(QUOTE_SEQUENCE, (match) => {
+    if (match[0] === '\\') {
+      const character = match[1]
+      // Removes unnecessary quote escapes
+      return (character === '"' || character === "'" || character === '`') &&
+        character !== quote
+        ? character
+        : match
+    }
+    return match === quote || (quote === '`' && match === '${')
+      ? '\\' + match
+      : match
+  })
+}
+
+export function stringQuote(state, value, allowTemplate) {
+  /*
+  Returns the quote to write the string `value` with according to the `quotes` option.
+  Template literal backticks are only returned if `allowTemplate` is `true`.
+  */
+  const { quotes } = state
+  if (quotes === 'single') {
+    return "'"
+  }
+  if (quotes === 'backtick' && allowTemplate) {
+    return '`'
+  }
+  if (quotes === 'minimal') {
+    return value.split("'").length < value.split('"').length ? "'" : '"'
+  }
+  return '"'
+}
+
+export function stringCode(state, node, raw, allowTemplate) {
+  /*
+  Returns the code of the string literal `node` with its `raw` code, according to the `literals` and `quotes` options.
+  Template literals are only returned if `allowTemplate` is `true`.
+  */
+  raw = literalRaw(state, node, raw)
+  if (raw != null && state.quotes === 'preserve') {
+    return raw
+  }
+  const { value } = node
+  const quote = stringQuote(state, value, allowTemplate)
+  if (raw != null) {
+    if (raw[0] === quote) {
+      return raw
+    }
+    const content = raw.slice(1, -1)
+    if (quote !== '`' || !LEGACY_ESCAPE.test(content)) {
+      return quote + requote(content, quote) + quote
+    }
+  }
+  return quote + requote(stringify(value).slice(1, -1), quote) + quote
+}
+
+export function formatString(state, node) {
+  /*
+  Writes into `state` the `node`, which is written as a string literal and not as a template literal if it is a string, such as a module source.
+  */
+  if (isStringLiteral(node)) {
+    state.write(
+      stringCode(
+        state,
+        node,
+        node.type[0] === 'L' ? node.raw : rawCode(node),
+        false,
+      ),
+      node,
+    )
+  } else {
+    state.generator[node.type](node, state)
+  }
+}
+
+export function hasQuotedKeys(state, members) {
+  /*
+  Returns `true` if all the keys of the object or class `members` should be quoted according to the `quoteProps` option.
+  */
+  if (state.quoteProps !== 'consistent') {
+    return false
+  }
+  for (let i = 0; i < members.length; i++) {
+    const { key, computed } = members[i]
+    if (
+      key != null &&
+      !computed &&
+      isStringLiteral(key) &&
+      !IDENTIFIER_NAME.test(key.value)
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+export function formatClassKey(state, node) {
+  /*
+  Writes into `state` the key of a class member or object property `node`, quoted according to the `quoteProps` option.
+  */
+  const { key } = node
+  if (node.computed) {
+    state.write('[')
+    state.generator[key.type](key, state)
+    state.write(']')
+    return
+  }
+  if (state.quoteProps !== 'preserve') {
+    if (key.type === 'Identifier') {
+      if (state.quotedKeys) {
+        const quote = stringQuote(state, key.name, false)
+        state.write(quote + key.name + quote, key)
+        return
+      }
+    } else if (
+      !state.quotedKeys &&
+      isStringLiteral(key) &&
+      IDENTIFIER_NAME.test(key.value)
+    ) {
+      state.write(key.value, key)
+      return
+    }
+  }
+  formatString(state, key)
+}
+
+export function isUnaryLiteral(node) {
+  /*
+  Returns `true` if the literal `node` is written as a unary expression, such as a negative number or `void 0`.
+  */
+  const { type } = node
+  let raw
+  if (type === 'Literal') {
+    raw = node.raw
+    if (raw == null && node.bigint != null) {
+      raw = node.bigint
+    }
+  } else if (type === 'NumericLiteral' || type === 'BigIntLiteral') {
+    raw = rawCode(node)
+  } else {
+    return false
+  }
+  if (raw != null) {
+    return raw[0] === '-'
+  }
+  const { value } = node
+  return (
+    value === undefined ||
+    ((typeof value === 'number' || typeof value === 'bigint') &&
+      (value < 0 || Object.is(value, -0)))
+  )
+}
+
+function expressionNeedsParenthesis(state, node, parentNode, isRightHand) {
+  const { expressionsPrecedence } = state
+  const nodePrecedence = expressionsPrecedence[node.type]
+  if (nodePrecedence === NEEDS_PARENTHESES) {
+    return true
+  }
+  const parentNodePrecedence = expressionsPrecedence[parentNode.type]
+  if (nodePrecedence !== parentNodePrecedence) {
+    // Different node types
+    return (
+      (!isRightHand &&
+        parentNodePrecedence === 14 &&
+        parentNode.operator === '**' &&
+        (nodePrecedence === 15 || isUnaryLiteral(node))) ||
+      nodePrecedence < parentNodePrecedence
+    )
+  }
+  if (nodePrecedence !== 13 && nodePrecedence !== 14) {
+    // Not a `LogicalExpression` or `BinaryExpression`
+    return false
+  }
+  if (
+    (node.operator === '??') !== (parentNode.operator === '??') &&
+    nodePrecedence === 13
+  ) {
+    // Nullish coalescing cannot be mixed with other logical operators
+    return true
+  }
+  if (node.operator === '**' && parentNode.operator === '**') {
+    // Exponentiation operator has right-to-left associativity
+    return !isRightHand
+  }
+  const { operatorPrecedence } = state
+  if (isRightHand) {
+    // Parenthesis are used if both operators have the same precedence
+    return (
+      operatorPrecedence[binaryOperator(node)] <=
+      operatorPrecedence[binaryOperator(parentNode)]
+    )
+  }
+  return (
+    operatorPrecedence[binaryOperator(node)] <
+    operatorPrecedence[binaryOperator(parentNode)]
+  )
+}
+
+export function formatBinaryExpressionPart(
+  state,
+  node,
+  parentNode,
+  isRightHand,
+) {
+  /*
+  Writes into `state` a left-hand or right-hand expression `node`
+  from a binary expression applying the provided `operator`.
+  The `isRightHand` parameter should be `true` if the `node` is a right-hand argument.
+  */
+  const { generator } = state
+  if (expressionNeedsParenthesis(state, node, parentNode, isRightHand)) {
+    state.write('(')
+    generator[node.type](node, state)
+    state.write(')')
+  } else {
+    generator[node.type](node, state)
+  }
+}
+
+export function formatExpressionOperand(state, node, precedence) {
+  /*
+  Writes into `state` the expression `node` in a slot that only accepts expressions of at least the provided `precedence`, within parentheses if it is lower.
+  */
+  const { generator } = state
+  if (state.expressionsPrecedence[node.type] < precedence) {
+    state.write('(')
+    generator[node.type](node, state)
+    state.write(')')
+  } else {
+    generator[node.type](node, state)
+  }
+}
+
+export function startsWithBrace(node) {
+  /*
+  Returns `true` if the expression `node` is written starting with a curly brace, which would open a block at the start of a statement or arrow function body.
+  */
+  return (
+    node.type === 'ObjectExpression' ||
+    (node.type === 'AssignmentExpression' && node.left.type[0] === 'O')
+  )
+}
+
+export const LINE_TERMINATOR = /\r\n?|[\n\u2028\u2029]/
+
+function reindent(state, text, indent, lineEnd) {
+  /*
+  Writes into `state` the `text` string reindented with the provided `indent`, its newlines replaced by `lineEnd`.
+  */
+  const lines = text.split(LINE_TERMINATOR)
+  const end = lines.length - 1
+  state.write(lines[0].trim())
+  if (end > 0) {
+    state.write(lineEnd)
+    for (let i = 1; i < end; i++) {
+      state.write(indent + lines[i].trim() + lineEnd)
+    }
+    state.write(indent + lines[end].trim())
+  }
+}
+
+export function formatComments(state, comments, indent, lineEnd) {
+  /*
+  Writes into `state` the provided list of `comments`, with the given `indent` and `lineEnd` strings.
+  Line comments end with `lineEnd`, or with `"\n"` if it does not contain any newline.
+  Expects to start on a new unindented line.
+  */
+  const lineCommentEnd = LINE_TERMINATOR.test(lineEnd) ? lineEnd : '\n'
+  const { length } = comments
+  for (let i = 0; i < length; i++) {
+    const comment = comments[i]
+    state.write(indent)
+    if (comment.type[0] === 'L') {
+      // Line comment
+      state.write('// ' + comment.value.trim() + lineCommentEnd, comment)
+    } else {
+      // Block comment
+      state.write('/*')
+      reindent(state, comment.value, indent, lineEnd)
+      state.write('*/' + lineEnd)
+    }
+  }
+}
+
+export function hasCallExpression(node) {
+  /*
+  Returns `true` if the provided `node` contains a call expression and `false` otherwise.
+  */
+  let currentNode = node
+  while (currentNode != null) {
+    const { type } = currentNode
+    if (
+      (type[0] === 'C' && type[1] === 'a') ||
+      (type[0] === 'I' && type[1] === 'm')
+    ) {
+      // Is CallExpression or ImportExpression
+      return true
+    } else if (type[0] === 'M' && type[1] === 'e' && type[2] === 'm') {
+      // Is MemberExpression
+      currentNode = currentNode.object
+    } else {
+      return false
+    }
+  }
+}
+
+export function formatVariableDeclaration(state, node) {
+  /*
+  Writes into `state` a variable declaration.
+  */
+  const { generator } = state
+  const { declarations } = node
+  state.write(node.kind + ' ')
+  const { length } = declarations
+  if (length > 0) {
+    generator.VariableDeclarator(declarations[0], state)
+    for (let i = 1; i < length; i++) {
+      state.write(', ')
+      generator.VariableDeclarator(declarations[i], state)
+    }
+  }
+}
+
+export function formatArrowFunctionHead(state, node) {
+  /*
+  Writes into `state` the parameters of an arrow function `node` followed by the arrow.
+  */
+  state.write(node.async ? 'async ' : '', node)
+  const { params } = node
+  if (params != null) {
+    // Omit parenthesis if only one named parameter
+    if (params.length === 1 && params[0].type[0] === 'I') {
+      // If params[0].type[0] starts with 'I', it can't be `ImportDeclaration` nor `IfStatement` and thus is `Identifier`
+      state.write(params[0].name, params[0])
+    } else {
+      formatSequence(state, node.params)
+    }
+  }
+  state.write(' => ')
+}
+
+export function formatArrowFunctionBody(state, node) {
+  /*
+  Writes into `state` the body `node` of an arrow function.
+  */
+  if (startsWithBrace(node)) {
+    state.write('(')
+    state.generator[node.type](node, state)
+    state.write(')')
+  } else {
+    state.generator[node.type](node, state)
+  }
+}
+
+export function formatMethod(state, node, value) {
+  /*
+  Writes into `state` the method `node`, taking its parameters and body from the function `value`.
+  */
+  const { generator } = state
+  formatDecorators(state, node.decorators, ' ')
+  if (node.static) {
+    state.write('static ')
+  }
+  const kind = node.kind[0]
+  if (kind === 'g' || kind === 's') {
+    // Getter or setter
+    state.write(node.kind + ' ')
+  }
+  if (value.async) {
+    state.write('async ')
+  }
+  if (value.generator) {
+    state.write('*')
+  }
+  formatClassKey(state, node)
+  formatSequence(state, value.params)
+  state.write(' ')
+  generator[value.body.type](value.body, state)
+}
+
+export function formatDecorators(state, decorators, separator) {
+  /*
+  Writes into `state` the provided list of `decorators`, each followed by `separator`.
+  */
+  if (decorators == null) {
+    return
+  }
+  const { generator } = state
+  for (let i = 0; i < decorators.length; i++) {
+    generator.Decorator(decorators[i], state)
+    state.write(separator)
+  }
+}
+
+export function formatDecoratorLines(state, decorators) {
+  /*
+  Writes into `state` the provided list of `decorators`, each on its own line.
+  */
+  const { generator, lineEnd } = state
+  const indent = state.indent.repeat(state.indentLevel)
+  for (let i = 0; i < decorators.length; i++) {
+    generator.Decorator(decorators[i], state)
+    state.write(lineEnd)
+    state.write(indent)
+  }
+}
+
+export function formatClassDecorators(state, node) {
+  /*
+  Writes into `state` the decorators of the class `node`.
+  Returns the node to map to the `class` keyword, which is `null` if the class has been mapped to its first decorator.
+  */
+  const { decorators } = node
+  if (decorators == null || decorators.length === 0) {
+    return node
+  }
+  state.write('', node)
+  formatDecoratorLines(state, decorators)
+  return null
+}
+
+export function kindPrefix(kind) {
+  /*
+  Returns the keyword to write before an import or export with the provided non-standard `importKind` or `exportKind`, such as `type`.
+  */
+  return kind == null || kind === 'value' ? '' : kind + ' '
+}
+
+export function formatImportAttributes(state, node) {
+  /*
+  Writes into `state` the import attributes of the module declaration `node`, if any.
+  */
+  // Older parsers store the `assert` syntax attributes in `assertions`
+  const { attributes } = node
+  const isAssertion = attributes == null || attributes.length === 0
+  const list = isAssertion ? node.assertions : attributes
+  if (list != null && list.length > 0) {
+    state.write(isAssertion ? ' assert {' : ' with {')
+    formatList(state, list, ', ')
+    state.write('}')
+  }
+}
+
+export const EMPTY_OBJECT = {}
@@ -0,0 +1,268 @@
+import { baseGenerator } from './astring'
+import {
+  EXPRESSIONS_PRECEDENCE,
+  formatArrowFunctionHead,
+  formatComments,
+  literalRaw,
+} from './format'
+
+// Whitespace-only JSX text containing a line break is discarded by JSX compilers
+const FORMATTING_JSX_TEXT = /^[ \t\r]*\n[ \t\r\n]*$/
+
+const JSX_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '{': '&#123;',
+  '}': '&#125;',
+  '"': '&quot;',
+}
+
+const JSX_EXPRESSIONS_PRECEDENCE = Object.assign({}, EXPRESSIONS_PRECEDENCE, {
+  JSXElement: 20,
+  JSXFragment: 20,
+})
+
+function encodeJSXEntity(character) {
+  return JSX_ENTITIES[character]
+}
+
+function isLineComment(comment) {
+  return comment.type[0] === 'L'
+}
+
+function isJSXNode(node) {
+  /*
+  Returns `true` if the provided `node` is a `JSXElement` or a `JSXFragment`.
+  */
+  const { type } = node
+  return type === 'JSXElement' || type === 'JSXFragment'
+}
+
+function hasJSXChildrenOnLines(children) {
+  /*
+  Returns `true` if the JSX `children` are to be written on their own indented lines.
+  This is the case when they contain no significant text and at least one element or line break.
+  */
+  let onLines = false
+  const { length } = children
+  for (let i = 0; i < length; i++) {
+    const child = children[i]
+    if (child.type === 'JSXText') {
+      if (!FORMATTING_JSX_TEXT.test(child.value)) {
+        return false
+      }
+      onLines = true
+    } else if (isJSXNode(child)) {
+      onLines = true
+    }
+  }
+  return onLines
+}
+
+function isMultilineJSX(node) {
+  /*
+  Returns `true` if the provided JSX `node` is written on several lines.
+  */
+  if (!isJSXNode(node)) {
+    return false
+  }
+  const { children } = node
+  if (hasJSXChildrenOnLines(children)) {
+    return true
+  }
+  const { length } = children
+  for (let i = 0; i < length; i++) {
+    const child = children[i]
+    if (
+      child.type === 'JSXText'
+        ? child.value.indexOf('\n') !== -1
+        : isMultilineJSX(child)
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+function formatJSXChildren(state, children) {
+  /*
+  Writes into `state` the `children` of a JSX element or fragment.
+  Children containing significant text are written as is to preserve their whitespace.
+  */
+  const { generator } = state
+  const { length } = children
+  if (hasJSXChildrenOnLines(children)) {
+    const indent = state.indent.repeat(state.indentLevel++)
+    const { lineEnd } = state
+    const childIndent = indent + state.indent
+    for (let i = 0; i < length; i++) {
+      const child = children[i]
+      if (child.type !== 'JSXText') {
+        state.write(lineEnd)
+        state.write(childIndent)
+        generator[child.type](child, state)
+      }
+    }
+    state.write(lineEnd)
+    state.write(indent)
+    state.indentLevel--
+  } else {
+    for (let i = 0; i < length; i++) {
+      const child = children[i]
+      generator[child.type](child, state)
+    }
+  }
+}
+
+function formatMultilineJSX(state, node) {
+  /*
+  Writes into `state` the JSX `node` wrapped in parentheses, on its own indented lines.
+  */
+  const indent = state.indent.repeat(state.indentLevel++)
+  const { lineEnd } = state
+  state.write('(' + lineEnd)
+  state.write(indent + state.indent)
+  state.generator[node.type](node, state)
+  state.write(lineEnd)
+  state.write(indent + ')')
+  state.indentLevel--
+}
+
+export const jsxGenerator = Object.assign({}, baseGenerator, {
+  expressionsPrecedence: JSX_EXPRESSIONS_PRECEDENCE,
+  ReturnStatement(node, state) {
+    const { argument } = node
+    if (argument != null && isMultilineJSX(argument)) {
+      state.write('return ')
+      formatMultilineJSX(state, argument)
+      state.write(';')
+    } else {
+      baseGenerator.ReturnStatement.call(this, node, state)
+    }
+  },
+  ArrowFunctionExpression(node, state) {
+    if (isMultilineJSX(node.body)) {
+      formatArrowFunctionHead(state, node)
+      formatMultilineJSX(state, node.body)
+    } else {
+      baseGenerator.ArrowFunctionExpression.call(this, node, state)
+    }
+  },
+  JSXElement(node, state) {
+    this.JSXOpeningElement(node.openingElement, state)
+    if (node.closingElement != null) {
+      formatJSXChildren(state, node.children)
+      this.JSXClosingElement(node.closingElement, state)
+    }
+  },
+  JSXFragment(node, state) {
+    this.JSXOpeningFragment(node.openingFragment, state)
+    formatJSXChildren(state, node.children)
+    this.JSXClosingFragment(node.closingFragment, state)
+  },
+  JSXOpeningElement(node, state) {
+    state.write('<', node)
+    this[node.name.type](node.name, state)
+    const { attributes } = node
+    const { length } = attributes
+    for (let i = 0; i < length; i++) {
+      const attribute = attributes[i]
+      state.write(' ')
+      this[attribute.type](attribute, state)
+    }
+    state.write(node.selfClosing ? ' />' : '>')
+  },
+  JSXClosingElement(node, state) {
+    state.write('</', node)
+    this[node.name.type](node.name, state)
+    state.write('>')
+  },
+  JSXOpeningFragment(node, state) {
+    state.write('<>', node)
+  },
+  JSXClosingFragment(node, state) {
+    state.write('</>', node)
+  },
+  JSXAttribute(node, state) {
+    this[node.name.type](node.name, state)
+    const { value } = node
+    if (value == null) {
+      return
+    }
+    state.write('=')
+    if (value.type === 'Literal') {
+      // JSX attribute strings do not support escape sequences
+      const code =
+        '"' + String(value.value).replace(/[&"]/g, encodeJSXEntity) + '"'
+      const { raw } = value
+      const { literals } = state
+      state.write(
+        raw != null &&
+          (literals === 'trustRaw' ||
+            (literals === 'verifyRaw' &&
+              (raw === code || raw.slice(1, -1) === value.value)))
+          ? raw
+          : code,
+        value,
+      )
+    } else {
+      this[value.type](value, state)
+    }
+  },
+  JSXSpreadAttribute(node, state) {
+    state.write('{...', node)
+    this[node.argument.type](node.argument, state)
+    state.write('}')
+  },
+  JSXSpreadChild(node, state) {
+    state.write('{...', node)
+    this[node.expression.type](node.expression, state)
+    state.write('}')
+  },
+  JSXExpressionContainer(node, state) {
+    state.write('{', node)
+    this[node.expression.type](node.expression, state)
+    state.write('}')
+  },
+  JSXEmptyExpression(node, state) {
+    const comments = node.comments != null ? node.comments : node.innerComments
+    if (!state.writeComments || comments == null || comments.length === 0) {
+      return
+    }
+    if (comments.some(isLineComment)) {
+      // The closing brace is written on the line after the comments
+      const indent = state.indent.repeat(state.indentLevel)
+      const { lineEnd } = state
+      state.write(lineEnd)
+      formatComments(state, comments, indent + state.indent, lineEnd)
+      state.write(indent)
+    } else {
+      const { length } = comments
+      for (let i = 0; i < length; i++) {
+        const comment = comments[i]
+        state.write(`/*${comment.value}*/`, comment)
+      }
+    }
+  },
+  JSXText(node, state) {
+    const raw = literalRaw(state, node, node.raw)
+    state.write(
+      raw != null ? raw : node.value.replace(/[&<>{}]/g, encodeJSXEntity),
+      node,
+    )
+  },
+  JSXIdentifier(node, state) {
+    state.write(node.name, node)
+  },
+  JSXMemberExpression(node, state) {
+    this[node.object.type](node.object, state)
+    state.write('.')
+    this.JSXIdentifier(node.property, state)
+  },
+  JSXNamespacedName(node, state) {
+    this.JSXIdentifier(node.namespace, state)
+    state.write(':')
+    this.JSXIdentifier(node.name, state)
+  },
+})
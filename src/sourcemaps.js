@@ -1,8 +1,11 @@
+const { stringify } = JSON
+
 const VLQ_SHIFT = 5
 const VLQ_CONTINUATION_BIT = 1 << VLQ_SHIFT
 const VLQ_VALUE_MASK = VLQ_CONTINUATION_BIT - 1
 
 const integerToChar = {}
+const charToInteger = {}
 
 export function encodeInteger(value) {
   let num = value
@@ -44,10 +47,320 @@ export function encodeVlq(value) {
 const BASE64_CHARS =
   'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
 
+for (let i = 0; i < BASE64_CHARS.length; i++) {
+  integerToChar[i] = BASE64_CHARS[i]
+  charToInteger[BASE64_CHARS[i]] = i
+}
+
 export function encodeBase64(value) {
-  const encodedValue = BASE64_CHARS[value]
+  const encodedValue = integerToChar[value]
   if (encodedValue == null) {
     throw new Error(`Cannot Base64 encode value: ${value}`)
   }
   return encodedValue
 }
+
+export function decodeMappings(mappings) {
+  /*
+  Returns the segments of each generated line of the encoded source map `mappings`.
+  A segment is an array of the generated column followed, if it is mapped, by the source index, the 0-based original line, the original column, and optionally the name index.
+  */
+  const lines = []
+  let segments = []
+  let segment = []
+  // Generated column, source index, original line, original column and name index
+  const values = [0, 0, 0, 0, 0]
+  let value = 0
+  let shift = 0
+  for (let i = 0; i <= mappings.length; i++) {
+    const char = i < mappings.length ? mappings[i] : ';'
+    if (char === ',' || char === ';') {
+      if (segment.length > 0) {
+        segments.push(segment)
+        segment = []
+      }
+      if (char === ';') {
+        lines.push(
+          segments.some(
+            (current, index) =>
+              index > 0 && segments[index - 1][0] > current[0],
+          )
+            ? segments.sort((a, b) => a[0] - b[0])
+            : segments,
+        )
+        segments = []
+        values[0] = 0
+      }
+      continue
+    }
+    const digit = charToInteger[char]
+    if (digit === undefined) {
+      throw new Error(
+        `Unexpected character ${stringify(
+          char,
+        )} in the mappings of the input source map`,
+      )
+    }
+    value += (digit & VLQ_VALUE_MASK) << shift
+    if (digit & VLQ_CONTINUATION_BIT) {
+      shift += VLQ_SHIFT
+      continue
+    }
+    const field = segment.length
+    values[field] += value & 1 ? -(value >>> 1) : value >>> 1
+    segment.push(values[field])
+    value = 0
+    shift = 0
+  }
+  return lines
+}
+
+export function encodeBase64Text(text) {
+  /*
+  Returns the Base64 encoding of the UTF-8 bytes of `text`.
+  */
+  const bytes = []
+  for (let i = 0; i < text.length; i++) {
+    const code = text.codePointAt(i)
+    if (code < 0x80) {
+      bytes.push(code)
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      )
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      )
+      // Skips the low surrogate
+      i++
+    }
+  }
+  let result = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const first = bytes[i]
+    const second = bytes[i + 1]
+    const third = bytes[i + 2]
+    result +=
+      encodeBase64(first >> 2) +
+      encodeBase64(((first & 0x03) << 4) | (second >> 4)) +
+      (second === undefined
+        ? '='
+        : encodeBase64(((second & 0x0f) << 2) | (third >> 6))) +
+      (third === undefined ? '=' : encodeBase64(third & 0x3f))
+  }
+  return result
+}
+
+function compareMappings(a, b) {
+  /*
+  Compares the mappings `a` and `b` by generated position, then by original position and name.
+  */
+  return (
+    a.line - b.line ||
+    a.column - b.column ||
+    compareStrings(a.source, b.source) ||
+    a.originalLine - b.originalLine ||
+    a.originalColumn - b.originalColumn ||
+    compareStrings(a.name, b.name)
+  )
+}
+
+function compareStrings(a, b) {
+  /*
+  Compares the optional strings `a` and `b`, missing ones coming first.
+  */
+  if (a === b) {
+    return 0
+  }
+  if (a == null) {
+    return -1
+  }
+  if (b == null) {
+    return 1
+  }
+  return a < b ? -1 : 1
+}
+
+export class SourceMapBuilder {
+  /*
+  Builds a version 3 source map with the same interface as the `SourceMapGenerator` of the `source-map` module.
+  */
+  constructor(file) {
+    this.file = file
+    this.sources = []
+    this.sourceIndexes = Object.create(null)
+    this.names = []
+    this.nameIndexes = Object.create(null)
+    this.sourcesContent = Object.create(null)
+    this.hasSourcesContent = false
+    this.mappings = []
+    this.isSorted = true
+  }
+
+  addMapping({ generated, original, source, name }) {
+    // Copies the positions as they can be mutated afterwards
+    const mapping = {
+      line: generated.line,
+      column: generated.column,
+      source: original == null ? null : source,
+      originalLine: original == null ? 0 : original.line,
+      originalColumn: original == null ? 0 : original.column,
+      name: original == null || name == null ? null : name,
+    }
+    const { mappings } = this
+    if (
+      this.isSorted &&
+      mappings.length > 0 &&
+      compareMappings(mappings[mappings.length - 1], mapping) > 0
+    ) {
+      this.isSorted = false
+    }
+    mappings.push(mapping)
+    if (mapping.source != null && this.sourceIndexes[mapping.source] == null) {
+      this.sourceIndexes[mapping.source] = this.sources.length
+      this.sources.push(mapping.source)
+    }
+    if (mapping.name != null && this.nameIndexes[mapping.name] == null) {
+      this.nameIndexes[mapping.name] = this.names.length
+      this.names.push(mapping.name)
+    }
+  }
+
+  setSourceContent(source, content) {
+    this.sourcesContent[source] = content
+    this.hasSourcesContent = true
+  }
+
+  encodeMappings() {
+    /*
+    Returns the encoded `mappings` field of the source map.
+    */
+    const { mappings, sourceIndexes, nameIndexes } = this
+    if (!this.isSorted) {
+      mappings.sort(compareMappings)
+      this.isSorted = true
+    }
+    let result = ''
+    let line = 1
+    let column = 0
+    let sourceIndex = 0
+    let originalLine = 0
+    let originalColumn = 0
+    let nameIndex = 0
+    let previous = null
+    for (let i = 0; i < mappings.length; i++) {
+      const mapping = mappings[i]
+      if (previous != null && compareMappings(previous, mapping) === 0) {
+        // Skips duplicate mappings
+        continue
+      }
+      if (mapping.line !== line) {
+        column = 0
+        while (line < mapping.line) {
+          result += ';'
+          line++
+        }
+      } else if (previous != null) {
+        result += ','
+      }
+      previous = mapping
+      result += encodeVlq(mapping.column - column)
+      column = mapping.column
+      if (mapping.source == null) {
+        continue
+      }
+      const currentSourceIndex = sourceIndexes[mapping.source]
+      result += encodeVlq(currentSourceIndex - sourceIndex)
+      sourceIndex = currentSourceIndex
+      // Original lines are 0-based in the source map
+      result += encodeVlq(mapping.originalLine - 1 - originalLine)
+      originalLine = mapping.originalLine - 1
+      result += encodeVlq(mapping.originalColumn - originalColumn)
+      originalColumn = mapping.originalColumn
+      if (mapping.name != null) {
+        const currentNameIndex = nameIndexes[mapping.name]
+        result += encodeVlq(currentNameIndex - nameIndex)
+        nameIndex = currentNameIndex
+      }
+    }
+    return result
+  }
+
+  toJSON() {
+    const { sources, sourcesContent } = this
+    const map = {
+      version: 3,
+      sources: sources.slice(),
+      names: this.names.slice(),
+      mappings: this.encodeMappings(),
+    }
+    if (this.file != null) {
+      map.file = this.file
+    }
+    if (this.hasSourcesContent) {
+      map.sourcesContent = sources.map((source) =>
+        source in sourcesContent ? sourcesContent[source] : null,
+      )
+    }
+    return map
+  }
+
+  toString() {
+    return stringify(this.toJSON())
+  }
+}
+
+export class SourceMapTracer {
+  /*
+  Traces positions in the code a version 3 source `map` was generated for back to the original sources of that code.
+  */
+  constructor(map) {
+    if (map.version !== 3) {
+      throw new Error(
+        `Unsupported version ${stringify(map.version)} of the input source map`,
+      )
+    }
+    const { sourceRoot } = map
+    this.sources =
+      sourceRoot == null || sourceRoot === ''
+        ? map.sources
+        : map.sources.map((source) =>
+            source == null
+              ? null
+              : sourceRoot.replace(/\/$/, '') + '/' + source,
+          )
+    this.sourcesContent = map.sourcesContent
+    this.names = map.names != null ? map.names : []
+    this.lines = decodeMappings(map.mappings)
+  }
+
+  originalSegmentFor(position) {
+    /*
+    Returns the last segment starting at or before the generated `position` on its line, or `null` if there is none or if it is not mapped.
+    */
+    const segments = this.lines[position.line - 1]
+    if (segments == null) {
+      return null
+    }
+    let low = 0
+    let high = segments.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (segments[middle][0] <= position.column) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    const segment = segments[low - 1]
+    return segment == null || segment.length === 1 ? null : segment
+  }
+}
@@ -1,16 +1,34 @@
 import fs from 'fs'
+import { Buffer } from 'buffer'
 import test from 'ava'
 import path from 'path'
-import { parse } from 'acorn'
+import { parse, Parser } from 'acorn'
+import jsx from 'acorn-jsx'
 import * as astravel from 'astravel'
-import { pick } from 'lodash'
+import { pick, sortBy } from 'lodash'
+import { parseModule } from 'meriyah'
+import { parse as parseTypeScript } from '@typescript-eslint/typescript-estree'
+import { parse as parseFlow } from 'flow-parser'
+import { parse as parseBabel } from '@babel/parser'
+import { SourceMapConsumer, SourceMapGenerator } from 'source-map'
 
-import { generate } from '../astring'
+import {
+  baseGenerator,
+  generate,
+  AstringError,
+  validate,
+  ecmaFeatures,
+} from '../astring'
+import { jsxGenerator } from '../jsx'
+import { typescriptGenerator } from '../typescript'
+import { flowGenerator } from '../flow'
+import { babelGenerator } from '../babel'
+import { encodeBase64, encodeInteger, encodeVlq } from '../sourcemaps'
 import { readFile } from './tools'
 
 const FIXTURES_FOLDER = path.join(__dirname, 'fixtures')
 
-const ecmaVersion = 12
+const ecmaVersion = 17
 
 const stripLocation = astravel.makeTraveler({
   go(node, state) {
@@ -27,8 +45,42 @@ const stripLocation = astravel.makeTraveler({
     // Always walk through value, regardless of `node.shorthand` flag
     this.go(node.value, state)
   },
+  PropertyDefinition(node, state) {
+    this.go(node.key, state)
+    // Class fields without initializer have a `null` value
+    if (node.value != null) {
+      this.go(node.value, state)
+    }
+  },
+  ChainExpression(node, state) {
+    this.go(node.expression, state)
+  },
 })
 
+const PARSER_LOCATION_KEYS = [
+  'start',
+  'end',
+  'loc',
+  'range',
+  'extra',
+  'comments',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'errors',
+]
+
+function stripParserLocation(node) {
+  if (Array.isArray(node)) {
+    node.forEach(stripParserLocation)
+  } else if (node != null && typeof node === 'object') {
+    PARSER_LOCATION_KEYS.forEach((key) => {
+      delete node[key]
+    })
+    Object.keys(node).forEach((key) => stripParserLocation(node[key]))
+  }
+}
+
 test('Syntax check', (assert) => {
   const dirname = path.join(FIXTURES_FOLDER, 'syntax')
   const files = fs.readdirSync(dirname).sort()
@@ -70,6 +122,302 @@ test('Tree comparison', (assert) => {
   })
 })
 
+test('Expression slots', (assert) => {
+  // Every expression type is written in every slot that accepts an expression
+  const expressions = [
+    'a',
+    '1',
+    '"b"',
+    '/c/g',
+    '`d${e}`',
+    'f`g`',
+    'this',
+    'import.meta',
+    'import(h)',
+    '[i]',
+    '({ j })',
+    '(function () {})',
+    '(function* k() {})',
+    '(async function () {})',
+    '(class {})',
+    '(class L extends M {})',
+    '() => {}',
+    '(n) => n',
+    'async (o) => o',
+    '() => ({})',
+    'p.q',
+    'r[s]',
+    't?.u',
+    'v?.()',
+    'w()',
+    'new X()',
+    '(z, a)',
+    '!b',
+    '-c',
+    'typeof d',
+    'delete f.g',
+    '++h',
+    'i--',
+    'j + k',
+    'l * m',
+    'n ** o',
+    'p in q',
+    't < u',
+    'v || w',
+    'x && y',
+    'z ?? a',
+    'b ? c : d',
+    'e = f',
+    'g += h',
+    'i ??= j',
+    '({ k } = l)',
+    '[m] = n',
+    'yield',
+    'yield o',
+    'yield* p',
+    'await q',
+  ]
+  // Slots within a nested function, where `yield` and `await` are not allowed
+  const nestedSlots = [
+    'function b(c = $) {}',
+    'class B { b = $; }',
+    '() => $;',
+    'async () => $;',
+  ]
+  // Slots at the module level, where `yield` is not allowed
+  const moduleSlots = ['export default $;', 'export const b = $;']
+  const slots = [
+    '$;',
+    '$ + b;',
+    'b + $;',
+    '$ ** b;',
+    'b ** $;',
+    '$ || b;',
+    'b ?? $;',
+    '$ && b;',
+    '$ in b;',
+    '$ ? b : c;',
+    'b ? $ : c;',
+    'b ? c : $;',
+    'b = $;',
+    'b += $;',
+    'b ||= $;',
+    '$.b;',
+    '$[b];',
+    '$?.b;',
+    '$?.[b];',
+    'b[$];',
+    '$();',
+    '$?.();',
+    'new $();',
+    '$`b`;',
+    '`${$}`;',
+    'b($);',
+    'new b($);',
+    'b(...$);',
+    '[...$];',
+    '({ ...$ });',
+    '[$];',
+    '({ b: $ });',
+    '({ [$]: b });',
+    '({ [$]() {} });',
+    '!$;',
+    '-$;',
+    'typeof $;',
+    'await $;',
+    'yield $;',
+    'yield* $;',
+    '(b, $);',
+    '($, b);',
+    'var b = $;',
+    'let { b = $ } = c;',
+    '[b = $] = c;',
+    'class B extends $ {}',
+    '(class extends $ {});',
+    'class B { [$] = 1; }',
+    'class B { [$]() {} }',
+    'if ($);',
+    'while ($);',
+    'do; while ($);',
+    'for ($; ; );',
+    'for (var b = $; ; );',
+    'for (b in $);',
+    'for (b of $);',
+    'for (; $; );',
+    'for (; ; $);',
+    'switch ($) {}',
+    'switch (b) { case $: }',
+    'throw $;',
+    'return $;',
+  ].concat(nestedSlots, moduleSlots)
+  const options = {
+    ecmaVersion,
+    sourceType: 'module',
+    allowReturnOutsideFunction: true,
+  }
+  const parseSlot = (code, isModule) =>
+    // Other slots are placed within an async generator function
+    parse(isModule ? code : `async function* f() { ${code} }`, options)
+  const replaceSlot = (node, expression) => {
+    Object.keys(node).forEach((key) => {
+      const child = node[key]
+      if (child == null || typeof child !== 'object') {
+        return
+      }
+      if (child.type === 'Identifier' && child.name === '$') {
+        node[key] = expression
+      } else {
+        replaceSlot(child, expression)
+      }
+    })
+  }
+  slots.forEach((slot) => {
+    const isModule = moduleSlots.indexOf(slot) !== -1
+    const isNested = nestedSlots.indexOf(slot) !== -1
+    expressions.forEach((code) => {
+      if (
+        (isNested && /^(yield|await)/.test(code)) ||
+        (isModule && /^yield/.test(code))
+      ) {
+        return
+      }
+      const { body } = parseSlot(`(${code});`, isModule)
+      const { expression } = isModule ? body[0] : body[0].body.body[0]
+      const ast = parseSlot(slot, isModule)
+      replaceSlot(ast, expression)
+      const formattedAst = parse(generate(ast), options)
+      stripRaw(ast)
+      stripRaw(formattedAst)
+      assert.deepEqual(formattedAst, ast, `${code} in ${slot}`)
+    })
+  })
+})
+
+test('Statement bodies', (assert) => {
+  const code = [
+    'if (a) for (;;) if (b) c(); else d(); else e();',
+    'if (a) label: if (b) c(); else d(); else e();',
+    'while (a) b();',
+    'for (a of b) c();',
+    'if (a) b(); else if (c) d(); else e();',
+    'for (;;);',
+    'do a(); while (b);',
+    'label: for (;;) continue label;',
+    'if (a) b(function () { return c; }); else d();',
+    '',
+  ].join('\n')
+  const ast = parse(code, { ecmaVersion })
+  const [first, second, loop, forOf] = ast.body
+  // Leaves the inner `if` statements without an `else` clause
+  first.consequent.body.alternate = null
+  second.consequent.body.alternate = null
+  // Uses declarations as bodies
+  ;[loop.body, forOf.body] = parse('let f = 1; function g() {}', {
+    ecmaVersion,
+  }).body
+  assert.is(
+    generate(ast),
+    [
+      'if (a) {',
+      '  for (; ; ) if (b) c();',
+      '} else e();',
+      'if (a) {',
+      '  label: if (b) c();',
+      '} else e();',
+      'while (a) {',
+      '  let f = 1;',
+      '}',
+      'for (a of b) {',
+      '  function g() {}',
+      '}',
+      'if (a) b(); else if (c) d(); else e();',
+      'for (; ; ) ;',
+      'do a(); while (b);',
+      'label: for (; ; ) continue label;',
+      'if (a) b(function () {',
+      '  return c;',
+      '}); else d();',
+      '',
+    ].join('\n'),
+  )
+  assert.is(
+    generate(ast, { curly: 'all' }),
+    [
+      'if (a) {',
+      '  for (; ; ) {',
+      '    if (b) {',
+      '      c();',
+      '    }',
+      '  }',
+      '} else {',
+      '  e();',
+      '}',
+      'if (a) {',
+      '  label: if (b) {',
+      '    c();',
+      '  }',
+      '} else {',
+      '  e();',
+      '}',
+      'while (a) {',
+      '  let f = 1;',
+      '}',
+      'for (a of b) {',
+      '  function g() {}',
+      '}',
+      'if (a) {',
+      '  b();',
+      '} else if (c) {',
+      '  d();',
+      '} else {',
+      '  e();',
+      '}',
+      'for (; ; ) {}',
+      'do {',
+      '  a();',
+      '} while (b);',
+      'label: for (; ; ) {',
+      '  continue label;',
+      '}',
+      'if (a) {',
+      '  b(function () {',
+      '    return c;',
+      '  });',
+      '} else {',
+      '  d();',
+      '}',
+      '',
+    ].join('\n'),
+  )
+  assert.is(
+    generate(ast, { curly: 'multi-line' }),
+    [
+      'if (a) {',
+      '  for (; ; ) if (b) c();',
+      '} else e();',
+      'if (a) {',
+      '  label: if (b) c();',
+      '} else e();',
+      'while (a) {',
+      '  let f = 1;',
+      '}',
+      'for (a of b) {',
+      '  function g() {}',
+      '}',
+      'if (a) b(); else if (c) d(); else e();',
+      'for (; ; ) ;',
+      'do a(); while (b);',
+      'label: for (; ; ) continue label;',
+      'if (a) {',
+      '  b(function () {',
+      '    return c;',
+      '  });',
+      '} else d();',
+      '',
+    ].join('\n'),
+  )
+})
+
 test('Deprecated syntax check', (assert) => {
   const dirname = path.join(FIXTURES_FOLDER, 'deprecated')
   const files = fs.readdirSync(dirname).sort()
@@ -81,6 +429,667 @@ test('Deprecated syntax check', (assert) => {
   })
 })
 
+test('Literal generation from synthesized values', (assert) => {
+  const literal = (value) => ({ type: 'Literal', value })
+  const evaluate = (node) => new Function(`return ${generate(node)}`)()
+  const values = [
+    0,
+    -0,
+    1,
+    -1.5,
+    1e21,
+    -1e-7,
+    NaN,
+    Infinity,
+    -Infinity,
+    BigInt(10),
+    BigInt(-10),
+    undefined,
+    null,
+    true,
+    'a "b"\n',
+    /a\/b/gi,
+  ]
+  values.forEach((value) => {
+    const name = String(value)
+    const result = evaluate(literal(value))
+    if (value instanceof RegExp) {
+      assert.is(String(result), String(value), name)
+      return
+    }
+    assert.true(Object.is(result, value), name)
+    if (typeof value !== 'number' && typeof value !== 'bigint') {
+      return
+    }
+    const unary = { type: 'UnaryExpression', operator: '-', prefix: true }
+    assert.true(
+      Object.is(
+        evaluate(Object.assign({ argument: literal(value) }, unary)),
+        -value,
+      ),
+      `-${name}`,
+    )
+    const two = typeof value === 'number' ? 2 : BigInt(2)
+    assert.true(
+      Object.is(
+        evaluate({
+          type: 'BinaryExpression',
+          operator: '**',
+          left: literal(value),
+          right: literal(two),
+        }),
+        value ** two,
+      ),
+      `${name} ** 2`,
+    )
+    assert.is(
+      evaluate({
+        type: 'MemberExpression',
+        object: literal(value),
+        property: { type: 'Identifier', name: 'constructor' },
+        computed: false,
+      }),
+      value.constructor,
+      `${name}.constructor`,
+    )
+  })
+  assert.is(generate(literal(undefined)), 'void 0')
+  assert.is(generate(literal(-0)), '-0')
+  assert.is(
+    generate({
+      type: 'UnaryExpression',
+      operator: '-',
+      prefix: true,
+      argument: literal(-1),
+    }),
+    '- -1',
+  )
+  assert.throws(() => generate(literal(Symbol('a'))))
+  assert.throws(() => generate(literal({})))
+})
+
+function stripRaw(node) {
+  if (Array.isArray(node)) {
+    node.forEach(stripRaw)
+  } else if (node != null && typeof node === 'object') {
+    // Also strips the raw code of template elements
+    delete node.start
+    delete node.end
+    delete node.raw
+    delete node.directive
+    Object.keys(node).forEach((key) => stripRaw(node[key]))
+  }
+}
+
+test('Literal raw policies', (assert) => {
+  const options = {
+    ecmaVersion,
+    sourceType: 'module',
+  }
+  ;['syntax', 'tree'].forEach((folder) => {
+    const dirname = path.join(FIXTURES_FOLDER, folder)
+    fs.readdirSync(dirname)
+      .sort()
+      .forEach((filename) => {
+        const name = `${folder}/${filename.substring(0, filename.length - 3)}`
+        const code = readFile(path.join(dirname, filename))
+        const ast = parse(code, options)
+        assert.is(
+          generate(ast, { literals: 'verifyRaw' }),
+          generate(ast),
+          name,
+          'Keeps valid raw code',
+        )
+        const formattedAst = parse(
+          generate(ast, { literals: 'ignoreRaw' }),
+          options,
+        )
+        stripRaw(ast)
+        stripRaw(formattedAst)
+        assert.deepEqual(formattedAst, ast, name, 'Generates from values')
+      })
+  })
+  const code = [
+    'a("b", 1, 2n, /c/g, null, true, `d${e}\\u0066`);',
+    'f("\\101", 017, 019, \'"\');',
+    '("use strict");',
+    '',
+  ].join('\n')
+  const ast = parse(code, { ecmaVersion, locations: true })
+  assert.is(generate(ast, { literals: 'verifyRaw' }), code)
+  const [call, legacyCall] = ast.body.map((statement) => statement.expression)
+  const [string, number, bigint, regex, , boolean, template] = call.arguments
+  string.value = 'b"'
+  number.value = -1
+  bigint.bigint = '3'
+  regex.regex = { pattern: 'd', flags: 'i' }
+  boolean.value = false
+  template.quasis[1].value.cooked = '`${g}\r'
+  legacyCall.arguments[0].value = '\\101'
+  legacyCall.arguments[2].value = 18
+  const stale = [
+    'a("b", 1, 2n, /c/g, null, true, `d${e}\\u0066`);',
+    'f("\\101", 017, 019, \'"\');',
+  ]
+  const regenerated = [
+    'a("b\\"", -1, 3n, /d/i, null, false, `d${e}\\`\\${g}\\r`);',
+    'f("\\\\101", 017, 18, \'"\');',
+  ]
+  assert.is(
+    generate(ast, { literals: 'trustRaw' }),
+    stale.concat('("use strict");', '').join('\n'),
+  )
+  assert.is(
+    generate(ast, { literals: 'verifyRaw' }),
+    regenerated.concat('("use strict");', '').join('\n'),
+  )
+  assert.is(
+    generate(ast, { literals: 'ignoreRaw' }),
+    [
+      'a("b\\"", -1, 3n, /d/i, null, false, `d${e}\\`\\${g}\\r`);',
+      'f("\\\\101", 15, 18, "\\"");',
+      '("use strict");',
+      '',
+    ].join('\n'),
+  )
+})
+
+test('Quote options', (assert) => {
+  const options = {
+    ecmaVersion,
+    sourceType: 'module',
+  }
+  const dirname = path.join(FIXTURES_FOLDER, 'syntax')
+  fs.readdirSync(dirname)
+    .sort()
+    .forEach((filename) => {
+      const code = readFile(path.join(dirname, filename))
+      const ast = parse(code, options)
+      stripRaw(ast)
+      ;['single', 'double', 'minimal'].forEach((quotes) => {
+        const formattedAst = parse(generate(ast, { quotes }), options)
+        stripRaw(formattedAst)
+        assert.deepEqual(formattedAst, ast, `${filename} with ${quotes}`)
+      })
+      // Backticks turn string literals into template literals
+      assert.notThrows(() =>
+        parse(generate(ast, { quotes: 'backtick' }), options),
+      )
+    })
+  const code = [
+    '"use strict";',
+    'import a from "a" with {type: "json"};',
+    'export {a as "b c"};',
+    'const d = {',
+    '  "e": \'f\',',
+    '  "g-h": "i\'j",',
+    "  k: 'l\"m\\u006e',",
+    '  1: `o\\${p}`,',
+    '  "q\\0"() {}',
+    '};',
+    'class R {',
+    '  "s" = "t\\\\`";',
+    '  u() {}',
+    '}',
+    '',
+  ]
+  const ast = parse(code.join('\n'), options)
+  const expect = (generateOptions, changes) => {
+    const expected = code.slice()
+    Object.keys(changes).forEach((line) => {
+      expected[line] = changes[line]
+    })
+    const output = generate(ast, generateOptions)
+    assert.is(output, expected.join('\n'), JSON.stringify(generateOptions))
+    // Mappings of the formatted code match its own locations
+    const formattedAst = parse(output, { ...options, locations: true })
+    generate(formattedAst, {
+      ...generateOptions,
+      sourceMap: {
+        addMapping({ original, generated, name }) {
+          assert.deepEqual(
+            pick(generated, ['line', 'column']),
+            pick(original, ['line', 'column']),
+            name,
+          )
+        },
+      },
+    })
+  }
+  expect({ quotes: 'preserve' }, {})
+  expect(
+    { quotes: 'single' },
+    {
+      0: "'use strict';",
+      1: "import a from 'a' with {type: 'json'};",
+      2: "export {a as 'b c'};",
+      4: "  'e': 'f',",
+      5: "  'g-h': 'i\\'j',",
+      8: "  'q\\0'() {}",
+      11: "  's' = 't\\\\`';",
+    },
+  )
+  expect(
+    { quotes: 'double' },
+    {
+      4: '  "e": "f",',
+      6: '  k: "l\\"m\\u006e",',
+    },
+  )
+  expect(
+    { quotes: 'backtick' },
+    {
+      4: '  "e": `f`,',
+      5: '  "g-h": `i\'j`,',
+      6: '  k: `l"m\\u006e`,',
+      11: '  "s" = `t\\\\\\``;',
+    },
+  )
+  expect({ quotes: 'minimal' }, { 4: '  "e": "f",' })
+  expect(
+    { quoteProps: 'as-needed' },
+    {
+      4: "  e: 'f',",
+      11: '  s = "t\\\\`";',
+    },
+  )
+  expect(
+    { quoteProps: 'consistent', quotes: 'single' },
+    {
+      0: "'use strict';",
+      1: "import a from 'a' with {type: 'json'};",
+      2: "export {a as 'b c'};",
+      4: "  'e': 'f',",
+      5: "  'g-h': 'i\\'j',",
+      6: "  'k': 'l\"m\\u006e',",
+      8: "  'q\\0'() {}",
+      11: "  s = 't\\\\`';",
+    },
+  )
+  const literal = (value) => ({ type: 'Literal', value })
+  assert.is(generate(literal("it's"), { quotes: 'minimal' }), '"it\'s"')
+  assert.is(generate(literal('a"b'), { quotes: 'minimal' }), "'a\"b'")
+  assert.is(generate(literal("it's"), { quotes: 'single' }), "'it\\'s'")
+  assert.is(generate(literal('${a}`'), { quotes: 'backtick' }), '`\\${a}\\``')
+  const escaped = parse("['it\\'s', '\\0']", options).body[0].expression
+  assert.is(generate(escaped, { quotes: 'double' }), '["it\'s", "\\0"]')
+  assert.is(generate(escaped, { quotes: 'backtick' }), "[`it's`, `\\0`]")
+})
+
+test('Error reporting', (assert) => {
+  const code = 'a();\nif (b) {\n  c(d, e);\n}\n'
+  const ast = parse(code, { ecmaVersion, locations: true })
+  const call = ast.body[1].consequent.body[0].expression
+  const unknownNode = { type: 'Unknown', loc: call.arguments[1].loc }
+  call.arguments[1] = unknownNode
+  const error = assert.throws(() => generate(ast, { sourceContent: code }), {
+    instanceOf: AstringError,
+  })
+  assert.is(error.node, unknownNode)
+  assert.is(error.nodeType, 'Unknown')
+  assert.is(
+    error.path,
+    'Program.body[1].consequent.body[0].expression.arguments[1]',
+  )
+  assert.is(error.output, 'a();\nif (b) {\n  c(d, ')
+  assert.is(
+    error.codeFrame,
+    [
+      '  1 | a();',
+      '  2 | if (b) {',
+      '> 3 |   c(d, e);',
+      '    |        ^',
+      '  4 | }',
+      '  5 | ',
+    ].join('\n'),
+  )
+  assert.is(
+    error.message,
+    `Unsupported Unknown node at ${error.path}\n\n${error.codeFrame}`,
+  )
+  assert.is(
+    generate(ast, { lenient: true }),
+    'a();\nif (b) {\n  c(d, /* astring: unsupported Unknown */);\n}\n',
+  )
+  // Writes placeholders for missing required children in lenient mode
+  const incomplete = parse('a + b;\nf(x, y);\nif (c) d();\n', { ecmaVersion })
+  incomplete.body[0].expression.right = undefined
+  incomplete.body[1].expression.arguments[1] = null
+  incomplete.body[2].consequent = null
+  assert.is(
+    generate(incomplete, { lenient: true }),
+    'a + /* astring: missing right */;\nf(x, /* astring: missing arguments */);\nif (c) /* astring: missing consequent */;\n',
+  )
+  assert.is(incomplete.body[0].expression.right, undefined)
+  // Reports malformed nodes without a code frame
+  const unary = parse('-a', { ecmaVersion }).body[0].expression
+  unary.argument = null
+  const malformedError = assert.throws(() => generate(unary), {
+    instanceOf: AstringError,
+    message: /^Cannot generate UnaryExpression node at UnaryExpression: /,
+  })
+  assert.true(malformedError.cause instanceof TypeError)
+  assert.is(malformedError.codeFrame, null)
+  // Keeps errors that do not come from the AST
+  const sourceMapError = new Error('Cannot add mapping')
+  assert.is(
+    assert.throws(() =>
+      generate(ast, {
+        lenient: true,
+        sourceMap: {
+          addMapping() {
+            throw sourceMapError
+          },
+        },
+      }),
+    ),
+    sourceMapError,
+  )
+})
+
+test('Validation', (assert) => {
+  const options = { ecmaVersion, sourceType: 'module' }
+  const messages = (ast, options) =>
+    validate(ast, options).map(({ path, message }) => `${path}: ${message}`)
+  // Accepts the fixtures
+  ;['syntax', 'tree', 'comment'].forEach((folder) => {
+    const dirname = path.join(FIXTURES_FOLDER, folder)
+    fs.readdirSync(dirname).forEach((filename) => {
+      const code = readFile(path.join(dirname, filename))
+      assert.deepEqual(messages(parse(code, options)), [], filename)
+    })
+  })
+  const dialects = [
+    ['jsx', jsxGenerator, (code) => JsxParser.parse(code, options)],
+    ['typescript', typescriptGenerator, (code) => parseTypeScript(code)],
+    ['flow', flowGenerator, (code) => parseFlow(code, { enums: true })],
+  ]
+  dialects.forEach(([folder, generator, parseDialect]) => {
+    const dirname = path.join(FIXTURES_FOLDER, folder)
+    fs.readdirSync(dirname).forEach((filename) => {
+      const code = readFile(path.join(dirname, filename))
+      assert.deepEqual(
+        messages(parseDialect(code), { generator }),
+        [],
+        `${folder}/${filename}`,
+      )
+    })
+  })
+  readBabelFixtures(['syntax', 'babel']).forEach(({ name, code }) => {
+    assert.deepEqual(
+      messages(parseBabel(code, BABEL_OPTIONS), { generator: babelGenerator }),
+      [],
+      name,
+    )
+  })
+  // Reports nodes out of their context
+  const ast = parse(
+    'function f() { a } async function* g() { await b; yield c }',
+    options,
+  )
+  const [f, g] = ast.body
+  f.body.body[0].expression = g.body.body[0].expression
+  f.body.body[1] = g.body.body[1]
+  assert.deepEqual(messages(ast), [
+    'Program.body[0].body.body[0].expression: Unexpected await outside of an async function',
+    'Program.body[0].body.body[1].expression: Unexpected yield outside of a generator function',
+  ])
+  assert.deepEqual(messages(parse('await a', options)), [])
+  assert.deepEqual(
+    messages(parse('await a', options), { sourceType: 'script' }),
+    [
+      'Program.body[0].expression: Unexpected await outside of an async function',
+    ],
+  )
+  const script = parse('import a from "a"; import.meta', options)
+  assert.deepEqual(messages(script, { sourceType: 'script' }), [
+    'Program.body[0]: Unexpected ImportDeclaration node in a script',
+    'Program.body[1].expression: Unexpected import.meta here',
+  ])
+  const exports = parse('export var a; export default b', options)
+  assert.deepEqual(messages(exports, { sourceType: 'script' }), [
+    'Program.body[0]: Unexpected ExportNamedDeclaration node in a script',
+    'Program.body[1]: Unexpected ExportDefaultDeclaration node in a script',
+  ])
+  // Checks the options that some parsers store in `attributes`
+  const dynamicImport = parse('import("a", b)', options)
+  const { expression } = dynamicImport.body[0]
+  expression.attributes = expression.options
+  expression.options = null
+  assert.deepEqual(messages(dynamicImport, { ecmaVersion: 2024 }), [
+    'Program.body[0].expression: Cannot use import attributes before ecmaVersion 2025',
+  ])
+  expression.attributes = { type: 'EmptyStatement' }
+  assert.deepEqual(messages(dynamicImport), [
+    'Program.body[0].expression.attributes: Unexpected EmptyStatement node in attributes of ImportExpression node',
+  ])
+  const block = { type: 'BlockStatement', body: exports.body }
+  assert.deepEqual(messages({ type: 'Program', body: [block] }), [
+    'Program.body[0].body[0]: Unexpected ExportNamedDeclaration node outside of the top level',
+    'Program.body[0].body[1]: Unexpected ExportDefaultDeclaration node outside of the top level',
+  ])
+  const loop = parse('a: while (b) { if (c) break a; else continue }', options)
+  const method = parse('class A extends B { m() { super.m() } }', options)
+  const call = parse('class C extends D { constructor() { super() } }', options)
+  call.body[0].superClass = null
+  const statements = [
+    loop.body[0].body.body.body[0],
+    method.body[0],
+    call.body[0],
+  ]
+  assert.deepEqual(messages({ type: 'Program', body: statements }), [
+    'Program.body[0].consequent: Undefined label a',
+    'Program.body[0].alternate: Unexpected continue outside of a loop',
+    'Program.body[2].body.body[0].value.body.body[0].expression.callee: Unexpected super call outside of a derived class constructor',
+  ])
+  // Reports malformed nodes
+  const objects = parse('({ __proto__: a }, { "__proto__": b })', options)
+  const [first, second] = objects.body[0].expression.expressions
+  first.properties.push(second.properties[0])
+  assert.deepEqual(
+    messages({
+      type: 'Program',
+      body: [
+        { type: 'Unknown' },
+        { type: 'ReturnStatement', argument: null },
+        { type: 'VariableDeclaration', kind: 'var' },
+        {
+          type: 'ExpressionStatement',
+          expression: {
+            type: 'ArrayExpression',
+            elements: [
+              { type: 'Identifier', name: 'class' },
+              { type: 'Identifier', name: '1a' },
+              { type: 'Literal', value: {} },
+              first,
+              { type: 'EmptyStatement' },
+            ],
+          },
+        },
+      ],
+    }),
+    [
+      'Program.body[0]: Unsupported Unknown node',
+      'Program.body[1]: Unexpected return outside of a function',
+      'Program.body[2]: Missing declarations in VariableDeclaration node',
+      'Program.body[3].expression.elements[4]: Unexpected EmptyStatement node in elements[4] of ArrayExpression node',
+      'Program.body[3].expression.elements[0]: Unexpected reserved word class',
+      'Program.body[3].expression.elements[1]: Invalid identifier name "1a"',
+      'Program.body[3].expression.elements[2]: Invalid value of Literal node',
+      'Program.body[3].expression.elements[3].properties[1]: Duplicate __proto__ property',
+    ],
+  )
+  // Accepts the synthesized literal values that are generated
+  const literals = {
+    type: 'Program',
+    sourceType: 'module',
+    body: [undefined, NaN, -0, Infinity, -1, 'a', /a/g].map((value) => ({
+      type: 'ExpressionStatement',
+      expression: { type: 'Literal', value },
+    })),
+  }
+  assert.deepEqual(messages(literals), [])
+  assert.is(generate(literals, { ecmaVersion: 2015 }), generate(literals))
+  // Accepts reserved words as names
+  const names = parse(
+    'a.class; ({ if: 1 }); import { default as b } from "b"',
+    options,
+  )
+  assert.deepEqual(messages(names), [])
+})
+
+test('Target version', (assert) => {
+  const options = { ecmaVersion, sourceType: 'module' }
+  const messages = (code, options) =>
+    validate(parse(code, { ecmaVersion, sourceType: 'module' }), options).map(
+      ({ message }) => message,
+    )
+  const snippets = {
+    arrowFunctions: 'a => a',
+    blockBindings: 'let a',
+    classes: 'class A {}',
+    defaultValues: 'function f(a = 1) {}',
+    destructuring: 'var [a] = b',
+    forOf: 'for (a of b);',
+    generators: 'function* f() {}',
+    modules: 'export var a',
+    newTarget: 'function f() { new.target }',
+    numericLiteralPrefixes: '0b1, 0O7',
+    objectLiteralExtensions: '({ a })',
+    regExpStickyUnicodeFlags: '/a/y',
+    restElements: 'function f(...a) {}',
+    spreadElements: 'f(...a)',
+    templateLiterals: '`a`',
+    exponentiation: 'a ** b',
+    asyncFunctions: 'async function f() {}',
+    asyncIteration: 'async function* f() {}',
+    objectRestSpread: '({ ...a })',
+    regExpDotAllFlag: '/a/s',
+    optionalCatchBinding: 'try {} catch {}',
+    bigint: '1n',
+    dynamicImport: 'import("a")',
+    exportNamespaceFrom: 'export * as a from "a"',
+    importMeta: 'import.meta',
+    nullishCoalescing: 'a ?? b',
+    optionalChaining: 'a?.b',
+    logicalAssignment: 'a ||= b',
+    numericSeparators: '1_000',
+    classFields: 'class A { a }',
+    classStaticBlocks: 'class A { static {} }',
+    moduleStringNames: 'export { a as "b" } from "c"',
+    privateNames: 'class A { #a() {} }',
+    regExpIndicesFlag: '/a/d',
+    topLevelAwait: 'await a',
+    regExpUnicodeSetsFlag: '/a/v',
+    importAttributes: 'import a from "a" with { type: "json" }',
+    usingDeclarations: '{ using a = b }',
+    awaitUsingDeclarations: '{ await using a = b }',
+  }
+  // Covers the whole feature matrix
+  assert.deepEqual(Object.keys(snippets), Object.keys(ecmaFeatures))
+  Object.keys(ecmaFeatures).forEach((name) => {
+    const { version, description } = ecmaFeatures[name]
+    const message = `Cannot use ${description} before ecmaVersion ${version}`
+    assert.true(
+      messages(snippets[name], { ecmaVersion: version - 1 }).includes(message),
+      name,
+    )
+    assert.false(
+      messages(snippets[name], { ecmaVersion: version }).includes(message),
+      name,
+    )
+  })
+  // Accepts editions
+  assert.deepEqual(messages('a => a', { ecmaVersion: 6 }), [])
+  assert.deepEqual(messages('a => a', { ecmaVersion: 5 }), [
+    'Cannot use arrow functions before ecmaVersion 2015',
+  ])
+  // Reports sloppy mode syntax in strict mode code
+  const sloppyCode = 'with (a) delete b; 010'
+  const sloppy = parse(sloppyCode, { ecmaVersion, sourceType: 'script' })
+  assert.deepEqual(validate(sloppy, { sourceType: 'script' }), [])
+  const strictMessages = [
+    'Program.body[0]: Unexpected with statement in strict mode code',
+    'Program.body[0].body.expression: Unexpected delete of an identifier in strict mode code',
+    'Program.body[1].expression: Unexpected legacy octal literal in strict mode code',
+  ]
+  assert.deepEqual(
+    validate(sloppy).map(({ path, message }) => `${path}: ${message}`),
+    strictMessages,
+  )
+  assert.deepEqual(
+    validate(sloppy).map(({ kind }) => kind),
+    ['strict', 'strict', 'strict'],
+  )
+  const directive = parse('function f() { "use strict" }', { ecmaVersion })
+  directive.body[0].body.body.push(...sloppy.body)
+  assert.is(validate(directive, { sourceType: 'script' }).length, 3)
+  const method = parse('class A { m() {} }', { ecmaVersion })
+  method.body[0].body.body[0].value.body.body = sloppy.body
+  assert.is(validate(method, { sourceType: 'script' }).length, 3)
+  // Throws when generating code
+  const code = 'a;\nb?.c;\n'
+  const ast = parse(code, { ...options, locations: true })
+  assert.is(generate(ast, { ecmaVersion: 2020 }), code)
+  const error = assert.throws(
+    () => generate(ast, { ecmaVersion: 2019, sourceContent: code }),
+    { instanceOf: AstringError },
+  )
+  assert.is(error.node, ast.body[1].expression)
+  assert.is(error.path, 'Program.body[1].expression')
+  assert.is(
+    error.message,
+    [
+      'Cannot use optional chaining before ecmaVersion 2020 at Program.body[1].expression',
+      '',
+      '  1 | a;',
+      '> 2 | b?.c;',
+      '    | ^',
+      '  3 | ',
+    ].join('\n'),
+  )
+  assert.throws(
+    () =>
+      generate(parse('import.meta', options), {
+        ecmaVersion: 2020,
+        sourceType: 'script',
+      }),
+    { message: /^Unexpected import\.meta here at Program\.body\[0\]/ },
+  )
+  assert.throws(() => generate(sloppy, { ecmaVersion: 5 }), {
+    message: /^Unexpected with statement in strict mode code/,
+  })
+  assert.is(
+    generate(sloppy, { ecmaVersion: 5, sourceType: 'script' }),
+    'with (a) delete b;\n010;\n',
+  )
+  assert.throws(
+    () =>
+      generate(parse('export var a', options), {
+        ecmaVersion: 2015,
+        sourceType: 'script',
+      }),
+    { message: /^Unexpected ExportNamedDeclaration node in a script/ },
+  )
+  // Leaves other issues with the tree to the generator
+  const tree = parse('a; function f() { super.b }', {
+    ecmaVersion,
+    allowSuperOutsideMethod: true,
+  })
+  tree.body[0].expression.name = 'yield'
+  assert.deepEqual(
+    validate(tree).map(({ kind, message }) => `${kind}: ${message}`),
+    [
+      'tree: Unexpected reserved word yield',
+      'tree: Unexpected super outside of a method',
+    ],
+  )
+  assert.is(
+    generate(tree, { ecmaVersion: 2015 }),
+    'yield;\nfunction f() {\n  super.b;\n}\n',
+  )
+})
+
 test('Output stream', (assert) => {
   const code = 'const a = 42;\n'
   const output = {
@@ -97,6 +1106,17 @@ test('Output stream', (assert) => {
   })
   assert.is(result, output)
   assert.is(result.buffer, code)
+  // Only returns the built source map
+  output.buffer = ''
+  const located = parse(code, { ecmaVersion, locations: true })
+  const expected = generate(located, { sourceMap: true })
+  assert.deepEqual(generate(located, { sourceMap: true, output }), {
+    map: expected.map,
+  })
+  assert.is(output.buffer, expected.code)
+  output.buffer = ''
+  assert.is(generate(located, { sourceMap: 'inline', output }), output)
+  assert.is(output.buffer, generate(located, { sourceMap: 'inline' }))
 })
 
 test('Comment generation', (assert) => {
@@ -114,12 +1134,56 @@ test('Comment generation', (assert) => {
       onComment: comments,
     })
     astravel.attachComments(ast, comments)
+    const name = filename.substring(0, filename.length - 3)
+    assert.is(generate(ast, options), code, name)
+    // CRLF variant
+    const crlfCode = code.replace(/\n/g, '\r\n')
+    const crlfComments = []
+    const crlfAst = parse(crlfCode, {
+      ecmaVersion,
+      locations: true,
+      onComment: crlfComments,
+    })
+    astravel.attachComments(crlfAst, crlfComments)
     assert.is(
-      generate(ast, options),
-      code,
-      filename.substring(0, filename.length - 3),
+      generate(crlfAst, { ...options, lineEnd: '\r\n' }),
+      crlfCode,
+      `${name} with CRLF`,
+    )
+    assert.is(generate(crlfAst, options), code, `${name} from CRLF`)
+    assert.deepEqual(
+      generate(crlfAst, {
+        ...options,
+        lineEnd: '\r\n',
+        sourceMap: true,
+        sourceContent: crlfCode,
+        tokenMappings: true,
+      }).map.mappings,
+      generate(ast, {
+        ...options,
+        sourceMap: true,
+        sourceContent: code,
+        tokenMappings: true,
+      }).map.mappings,
+      `${name} source map with CRLF`,
     )
   })
+  // Line comments end with a newline even if `lineEnd` has none
+  const comments = []
+  const ast = parse('// Comment\na;\n', { ecmaVersion, onComment: comments })
+  astravel.attachComments(ast, comments)
+  assert.is(generate(ast, { ...options, lineEnd: ' ' }), '// Comment\na; ')
+  // Newlines inside block comments are normalized
+  const blockComments = []
+  const blockAst = parse('/*\r  A\u2028  B\r\n*/\na;\n', {
+    ecmaVersion,
+    onComment: blockComments,
+  })
+  astravel.attachComments(blockAst, blockComments)
+  assert.is(
+    generate(blockAst, { ...options, lineEnd: '\r\n' }),
+    '/*\r\nA\r\nB\r\n*/\r\na;\r\n',
+  )
 })
 
 test('Source map generation', (assert) => {
@@ -194,3 +1258,826 @@ test('Source map generation with comments', (assert) => {
     })
   })
 })
+
+test('Built-in source map generation', (assert) => {
+  const decode = (map) => {
+    const mappings = []
+    new SourceMapConsumer(map).eachMapping((mapping) => {
+      mappings.push(mapping)
+    })
+    // The consumer does not keep the order of mappings at the same position
+    return sortBy(mappings, ['generatedLine', 'generatedColumn', 'name'])
+  }
+  ;['syntax', 'comment'].forEach((folder) => {
+    const dirname = path.join(FIXTURES_FOLDER, folder)
+    fs.readdirSync(dirname)
+      .sort()
+      .forEach((filename) => {
+        const code = readFile(path.join(dirname, filename))
+        const comments = []
+        const ast = parse(code, {
+          ecmaVersion,
+          sourceType: 'module',
+          locations: true,
+          onComment: comments,
+        })
+        astravel.attachComments(ast, comments)
+        const options = { comments: folder === 'comment' }
+        const expectedMap = new SourceMapGenerator({ file: filename })
+        expectedMap.setSourceContent(filename, code)
+        generate(ast, { ...options, sourceMap: expectedMap })
+        const { code: formattedCode, map } = generate(ast, {
+          ...options,
+          sourceMap: true,
+          file: 'output.js',
+          sourceFile: filename,
+          sourceContent: code,
+        })
+        assert.is(formattedCode, generate(ast, options), filename)
+        const expected = expectedMap.toJSON()
+        assert.is(map.version, 3)
+        assert.is(map.file, 'output.js')
+        assert.deepEqual(map.sources, expected.sources, filename)
+        assert.deepEqual(map.names, expected.names, filename)
+        assert.deepEqual(map.sourcesContent, [code], filename)
+        assert.is(map.mappings, expected.mappings, filename)
+        assert.deepEqual(decode(map), decode(expected), filename)
+      })
+  })
+  // Defaults the source name to the file name
+  const ast = parse('a + b;\n', { ecmaVersion, locations: true })
+  assert.deepEqual(generate(ast, { sourceMap: true, file: 'a.js' }).map, {
+    version: 3,
+    sources: ['a.js'],
+    names: ['a', 'b'],
+    mappings: 'AAAAA,IAAIC',
+    file: 'a.js',
+  })
+  assert.deepEqual(generate(ast, { sourceMap: true }).map.sources, [
+    '<anonymous>',
+  ])
+})
+
+test('Source map encoding', (assert) => {
+  assert.is(encodeBase64(0), 'A')
+  assert.is(encodeBase64(63), '/')
+  assert.throws(() => encodeBase64(64), {
+    message: 'Cannot Base64 encode value: 64',
+  })
+  const values = [0, 1, -1, 15, 16, -16, 1000, -1000, 123456789]
+  assert.deepEqual(values.map(encodeVlq), [
+    'A',
+    'C',
+    'D',
+    'e',
+    'gB',
+    'hB',
+    'w+B',
+    'x+B',
+    'qxmvrH',
+  ])
+  assert.deepEqual(values.map(encodeInteger), values.map(encodeVlq))
+})
+
+test('Token source mappings', (assert) => {
+  const collect = (ast, code, options) => {
+    const mappings = []
+    generate(ast, {
+      ...options,
+      tokenMappings: true,
+      sourceContent: code,
+      sourceMap: {
+        addMapping({ generated, original, name }) {
+          mappings.push(
+            `${generated.line}:${generated.column} -> ${original.line}:${
+              original.column
+            }${name != null ? ` ${name}` : ''}`,
+          )
+        },
+      },
+    })
+    return mappings
+  }
+  const dirname = path.join(FIXTURES_FOLDER, 'syntax')
+  fs.readdirSync(dirname)
+    .sort()
+    .forEach((filename) => {
+      const code = readFile(path.join(dirname, filename))
+      const ast = parse(code, {
+        ecmaVersion,
+        sourceType: 'module',
+        locations: true,
+      })
+      let nodeMappings = 0
+      generate(ast, {
+        sourceMap: {
+          addMapping() {
+            nodeMappings++
+          },
+        },
+      })
+      const mappings = collect(ast, code)
+      assert.true(mappings.length > nodeMappings, filename)
+      mappings.forEach((mapping) => {
+        const [generated, original] = mapping.split(/ -> | /)
+        assert.is(generated, original, `${filename} ${mapping}`)
+      })
+    })
+  // Maps tokens of reformatted code to the original ones
+  const code = 'f(a,b)+g\n'
+  const ast = parse(code, { ecmaVersion, locations: true })
+  ast.body[0].expression.right.originalName = 'h'
+  assert.is(generate(ast), 'f(a, b) + g;\n')
+  assert.deepEqual(collect(ast, code), [
+    '1:0 -> 1:0 f',
+    '1:1 -> 1:1',
+    '1:1 -> 1:1',
+    '1:2 -> 1:2 a',
+    '1:3 -> 1:3',
+    '1:3 -> 1:3',
+    '1:5 -> 1:4 b',
+    '1:6 -> 1:5',
+    '1:6 -> 1:5',
+    '1:7 -> 1:6',
+    '1:8 -> 1:6',
+    '1:10 -> 1:7 h',
+    '1:11 -> 1:8',
+    '1:11 -> 1:8',
+    '1:12 -> 1:8',
+    '2:0 -> 2:0',
+  ])
+  // Only maps node starts and ends without the original code
+  assert.deepEqual(collect(ast, undefined), [
+    '1:0 -> 1:0 f',
+    '1:1 -> 1:1',
+    '1:2 -> 1:2 a',
+    '1:3 -> 1:3',
+    '1:5 -> 1:4 b',
+    '1:6 -> 1:5',
+    '1:7 -> 1:6',
+    '1:10 -> 1:7 h',
+    '1:11 -> 1:8',
+    '1:11 -> 1:8',
+    '1:12 -> 1:8',
+    '2:0 -> 2:0',
+  ])
+  // Probing single-line bodies does not map anything
+  const bodies = 'if (c) d()\nwhile (x) if (y) z(function(){ q() })\n'
+  const bodiesAst = parse(bodies, { ecmaVersion, locations: true })
+  assert.is(
+    generate(bodiesAst, { curly: 'multi-line' }),
+    'if (c) d();\nwhile (x) {\n  if (y) {\n    z(function () {\n      q();\n    });\n  }\n}\n',
+  )
+  assert.deepEqual(collect(bodiesAst, bodies, { curly: 'multi-line' }), [
+    '1:0 -> 1:0',
+    '1:3 -> 1:3',
+    '1:4 -> 1:4 c',
+    '1:5 -> 1:5',
+    '1:5 -> 1:5',
+    '1:7 -> 1:7 d',
+    '1:8 -> 1:8',
+    '1:8 -> 1:8',
+    '1:9 -> 1:9',
+    '1:10 -> 1:10',
+    '1:11 -> 1:10',
+    '1:11 -> 1:10',
+    '2:0 -> 2:0',
+    '2:6 -> 2:6',
+    '2:7 -> 2:7 x',
+    '2:8 -> 2:8',
+    '2:8 -> 2:8',
+    '3:2 -> 2:10',
+    '3:5 -> 2:13',
+    '3:6 -> 2:14 y',
+    '3:7 -> 2:15',
+    '3:7 -> 2:15',
+    '4:4 -> 2:17 z',
+    '4:5 -> 2:18',
+    '4:5 -> 2:18',
+    '4:6 -> 2:19',
+    '4:15 -> 2:27',
+    '4:16 -> 2:28',
+    '4:18 -> 2:29',
+    '5:6 -> 2:31 q',
+    '5:7 -> 2:32',
+    '5:7 -> 2:32',
+    '5:8 -> 2:33',
+    '5:9 -> 2:34',
+    '5:10 -> 2:34',
+    '6:4 -> 2:35',
+    '6:5 -> 2:36',
+    '6:5 -> 2:36',
+    '6:5 -> 2:36',
+    '6:6 -> 2:37',
+    '6:7 -> 2:37',
+    '7:3 -> 2:37',
+    '8:1 -> 2:37',
+    '9:0 -> 3:0',
+  ])
+})
+
+test('Multi-source source maps', (assert) => {
+  const sources = {
+    'a.js': 'const a = 1;\n',
+    'b.js': '// b\nexport function b(x) {\n  return x + a;\n}\n',
+  }
+  const program = { type: 'Program', sourceType: 'module', body: [] }
+  Object.keys(sources).forEach((sourceFile) => {
+    const ast = parse(sources[sourceFile], {
+      ecmaVersion,
+      sourceType: 'module',
+      locations: true,
+      sourceFile,
+    })
+    program.body.push(...ast.body)
+  })
+  const { code, map } = generate(program, {
+    sourceMap: true,
+    file: 'bundle.js',
+    tokenMappings: true,
+    sourcesContent: sources,
+  })
+  assert.is(code, 'const a = 1;\nexport function b(x) {\n  return x + a;\n}\n')
+  assert.deepEqual(map.sources, ['a.js', 'b.js'])
+  assert.deepEqual(map.sourcesContent, [sources['a.js'], sources['b.js']])
+  const consumer = new SourceMapConsumer(map)
+  const lines = code.split('\n')
+  consumer.eachMapping((mapping) => {
+    const originalLines = sources[mapping.source].split('\n')
+    const token = /^[\w$]+|^[^\s\w$]/
+    const generated = lines[mapping.generatedLine - 1].slice(
+      mapping.generatedColumn,
+    )
+    const original = originalLines[mapping.originalLine - 1].slice(
+      mapping.originalColumn,
+    )
+    assert.deepEqual(
+      token.exec(generated),
+      token.exec(original),
+      `${mapping.generatedLine}:${mapping.generatedColumn}`,
+    )
+    assert.is(mapping.source, mapping.generatedLine === 1 ? 'a.js' : 'b.js')
+  })
+  assert.deepEqual(consumer.originalPositionFor({ line: 3, column: 13 }), {
+    source: 'b.js',
+    line: 3,
+    column: 13,
+    name: 'a',
+  })
+  // Attaches source contents to provided source map generators
+  const generator = new SourceMapGenerator({ file: 'bundle.js' })
+  generate(program, { sourceMap: generator, sourcesContent: sources })
+  assert.deepEqual(generator.toJSON().sourcesContent, map.sourcesContent)
+  // Shows the code frame of the source of the failing node
+  program.body[1].declaration.body.body[0].argument.right.type = 'Unknown'
+  const error = assert.throws(
+    () => generate(program, { sourcesContent: sources }),
+    { instanceOf: AstringError },
+  )
+  assert.is(
+    error.codeFrame,
+    [
+      '  1 | // b',
+      '  2 | export function b(x) {',
+      '> 3 |   return x + a;',
+      '    |              ^',
+      '  4 | }',
+      '  5 | ',
+    ].join('\n'),
+  )
+})
+
+test('Source map positions', (assert) => {
+  const code = [
+    '/* A block',
+    '   comment */',
+    "let text = 'a\\",
+    "b', other = text; // Note",
+    '/**',
+    ' * Ends',
+    ' */',
+    "let emoji = '\u{1F600}', last = emoji;",
+    '',
+  ].join('\n')
+  const comments = []
+  const ast = parse(code, {
+    ecmaVersion,
+    locations: true,
+    onComment: comments,
+  })
+  astravel.attachComments(ast, comments)
+  const generator = {
+    ...baseGenerator,
+    VariableDeclaration(node, state) {
+      // Writes several lines at once
+      state.write('/*\r\n\u2028\u2029*/\r')
+      state.write('\n')
+      // Writes a carriage return and a line feed separated by other code
+      state.write('/**/\r')
+      state.write('/**/')
+      state.write('\n')
+      baseGenerator.VariableDeclaration(node, state)
+    },
+  }
+  const check = (options, columnOf) => {
+    const { code: output, map } = generate(ast, {
+      ...options,
+      generator,
+      comments: true,
+      sourceMap: true,
+      sourceContent: code,
+    })
+    const lines = output.split(/\r\n?|[\n\u2028\u2029]/)
+    const originalLines = code.split('\n')
+    let count = 0
+    new SourceMapConsumer(map).eachMapping(
+      ({
+        generatedLine,
+        generatedColumn,
+        originalLine,
+        originalColumn,
+        name,
+      }) => {
+        if (name == null) {
+          return
+        }
+        count++
+        assert.true(
+          lines[generatedLine - 1]
+            .slice(columnOf(lines[generatedLine - 1], generatedColumn))
+            .startsWith(name),
+          `generated ${name}`,
+        )
+        assert.true(
+          originalLines[originalLine - 1]
+            .slice(columnOf(originalLines[originalLine - 1], originalColumn))
+            .startsWith(name),
+          `original ${name}`,
+        )
+      },
+    )
+    assert.is(count, 6)
+  }
+  check({}, (line, column) => column)
+  check({ lineEnd: '\r\n' }, (line, column) => column)
+  check(
+    { columnUnits: 'codePoints' },
+    (line, column) => Array.from(line).slice(0, column).join('').length,
+  )
+})
+
+test('Source map comments', (assert) => {
+  const code = "let greeting = 'héllo 👋';\n"
+  const ast = parse(code, { ecmaVersion, locations: true })
+  const prefix =
+    '//# sourceMappingURL=data:application/json;charset=utf-8;base64,'
+  const decode = (output) => {
+    const lines = output.split('\n')
+    assert.is(lines.pop(), '')
+    const comment = lines.pop()
+    assert.true(comment.startsWith(prefix))
+    return {
+      code: lines.join('\n') + '\n',
+      map: JSON.parse(
+        Buffer.from(comment.slice(prefix.length), 'base64').toString(),
+      ),
+    }
+  }
+  const options = {
+    sourceFile: 'greeting.js',
+    sourceContent: code,
+  }
+  const { map } = generate(ast, { ...options, sourceMap: true })
+  const inline = generate(ast, { ...options, sourceMap: 'inline' })
+  assert.is(typeof inline, 'string')
+  assert.deepEqual(decode(inline), { code, map })
+  const output = {
+    buffer: '',
+    write(code) {
+      this.buffer += code
+    },
+  }
+  assert.is(generate(ast, { ...options, sourceMap: 'inline', output }), output)
+  assert.deepEqual(decode(output.buffer), { code, map })
+  assert.is(
+    generate(ast, {
+      sourceURL: 'greeting.min.js',
+      sourceMappingURL: 'greeting.min.js.map',
+    }),
+    code +
+      '//# sourceURL=greeting.min.js\n' +
+      '//# sourceMappingURL=greeting.min.js.map\n',
+  )
+  const result = generate(ast, {
+    ...options,
+    sourceMap: true,
+    sourceMappingURL: 'greeting.min.js.map',
+  })
+  assert.is(result.code, code + '//# sourceMappingURL=greeting.min.js.map\n')
+  assert.deepEqual(result.map, map)
+  // Comments start on a new line
+  const expression = parse('a + b', { ecmaVersion }).body[0].expression
+  assert.is(
+    generate(expression, { sourceURL: 'sum.js', lineEnd: '\r\n' }),
+    'a + b\r\n//# sourceURL=sum.js\r\n',
+  )
+  output.buffer = ''
+  generate(expression, { sourceURL: 'sum.js', output })
+  assert.is(output.buffer, 'a + b\n//# sourceURL=sum.js\n')
+  output.buffer = ''
+  generate(expression, {
+    sourceMap: new SourceMapGenerator({ file: 'sum.js' }),
+    sourceMappingURL: 'sum.js.map',
+    output,
+  })
+  assert.is(output.buffer, 'a + b\n//# sourceMappingURL=sum.js.map\n')
+})
+
+test('Source map composition', (assert) => {
+  const original = 'function add(first,second){return first+second}\nadd(1,2)\n'
+  const decode = (map) => {
+    const mappings = []
+    new SourceMapConsumer(map).eachMapping(
+      ({
+        generatedLine,
+        generatedColumn,
+        source,
+        originalLine,
+        originalColumn,
+        name,
+      }) => {
+        mappings.push([
+          generatedLine,
+          generatedColumn,
+          source,
+          originalLine,
+          originalColumn,
+          name,
+        ])
+      },
+    )
+    return sortBy(mappings, (mapping) => mapping.join())
+  }
+  // First step: the original code is reformatted
+  const step = generate(parse(original, { ecmaVersion, locations: true }), {
+    sourceMap: true,
+    file: 'intermediate.js',
+    sourceFile: 'original.js',
+    sourceContent: original,
+    tokenMappings: true,
+  })
+  // Second step: the intermediate code is modified
+  const intermediate = step.code
+  const ast = parse(intermediate, { ecmaVersion, locations: true })
+  astravel
+    .makeTraveler({
+      go(node, state) {
+        if (node.type === 'Identifier' && node.name === 'second') {
+          node.name = 'b'
+        }
+        this[node.type](node, state)
+      },
+    })
+    .go(ast)
+  const options = {
+    sourceMap: true,
+    file: 'output.js',
+    sourceFile: 'intermediate.js',
+    sourceContent: intermediate,
+    tokenMappings: true,
+  }
+  const result = generate(ast, { ...options, inputSourceMap: step.map })
+  assert.is(
+    result.code,
+    'function add(first, b) {\n  return first + b;\n}\nadd(1, 2);\n',
+  )
+  assert.deepEqual(result.map.sources, ['original.js'])
+  assert.deepEqual(result.map.sourcesContent, [original])
+  assert.true(result.map.names.includes('second'))
+  assert.false(result.map.names.includes('b'))
+  const expected = SourceMapGenerator.fromSourceMap(
+    new SourceMapConsumer(generate(ast, options).map),
+  )
+  expected.applySourceMap(new SourceMapConsumer(step.map))
+  assert.deepEqual(decode(result.map), decode(expected.toJSON()))
+  // Positions that cannot be traced back are not mapped
+  const { map } = generate(ast, {
+    ...options,
+    inputSourceMap: {
+      version: 3,
+      sourceRoot: 'src/',
+      sources: ['original.ts'],
+      names: ['add'],
+      mappings: 'AAAA,SAASA;A',
+    },
+  })
+  const mappings = decode(map)
+  assert.true(mappings.length > 2)
+  mappings.forEach(([line, column, ...original]) => {
+    assert.is(line, 1)
+    assert.deepEqual(
+      original,
+      column < 9
+        ? ['src/original.ts', 1, 0, null]
+        : ['src/original.ts', 1, 9, 'add'],
+    )
+  })
+  assert.throws(
+    () =>
+      generate(ast, {
+        ...options,
+        inputSourceMap: { version: 3, sources: [], names: [], mappings: '!' },
+      }),
+    {
+      message:
+        'Unexpected character "!" in the mappings of the input source map',
+    },
+  )
+})
+
+const JsxParser = Parser.extend(jsx())
+
+test('JSX generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'jsx')
+  const files = fs.readdirSync(dirname).sort()
+  const options = {
+    ecmaVersion,
+    sourceType: 'module',
+  }
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    const name = filename.substring(0, filename.length - 3)
+    assert.is(
+      generate(JsxParser.parse(code, options), { generator: jsxGenerator }),
+      code,
+      `acorn-jsx ${name}`,
+    )
+    assert.is(
+      generate(parseModule(code, { jsx: true, raw: true, next: true }), {
+        generator: jsxGenerator,
+      }),
+      code,
+      `meriyah ${name}`,
+    )
+  })
+})
+
+test('JSX generation from synthesized nodes', (assert) => {
+  const identifier = (name) => ({ type: 'JSXIdentifier', name })
+  const element = (name, attributes, children) => ({
+    type: 'JSXElement',
+    openingElement: {
+      type: 'JSXOpeningElement',
+      name: identifier(name),
+      attributes,
+      selfClosing: children == null,
+    },
+    closingElement:
+      children == null
+        ? null
+        : { type: 'JSXClosingElement', name: identifier(name) },
+    children: children == null ? [] : children,
+  })
+  const ast = {
+    type: 'ReturnStatement',
+    argument: element(
+      'ul',
+      [
+        {
+          type: 'JSXAttribute',
+          name: identifier('title'),
+          value: { type: 'Literal', value: 'Say "a & b"' },
+        },
+      ],
+      [
+        element('li', [], [{ type: 'JSXText', value: 'a < b & {c}' }]),
+        element('li', [], null),
+      ],
+    ),
+  }
+  assert.is(
+    generate(ast, { generator: jsxGenerator }),
+    [
+      'return (',
+      '  <ul title="Say &quot;a &amp; b&quot;">',
+      '    <li>a &lt; b &amp; &#123;c&#125;</li>',
+      '    <li />',
+      '  </ul>',
+      ');',
+    ].join('\n'),
+  )
+  const container = (comments) =>
+    element(
+      'p',
+      [],
+      [
+        {
+          type: 'JSXExpressionContainer',
+          expression: { type: 'JSXEmptyExpression', comments },
+        },
+      ],
+    )
+  const block = container([{ type: 'Block', value: ' note ' }])
+  assert.is(generate(block, { generator: jsxGenerator }), '<p>{}</p>')
+  assert.is(
+    generate(block, { generator: jsxGenerator, comments: true }),
+    '<p>{/* note */}</p>',
+  )
+  assert.is(
+    generate(container([{ type: 'Line', value: ' note' }]), {
+      generator: jsxGenerator,
+      comments: true,
+    }),
+    '<p>{\n  // note\n}</p>',
+  )
+  const text = (raw) =>
+    element('p', [], [{ type: 'JSXText', value: 'a & b', raw }])
+  assert.is(
+    generate(text('a &#38; b'), {
+      generator: jsxGenerator,
+      literals: 'verifyRaw',
+    }),
+    '<p>a &#38; b</p>',
+  )
+  assert.is(
+    generate(text('a &#38; b'), {
+      generator: jsxGenerator,
+      literals: 'ignoreRaw',
+    }),
+    '<p>a &amp; b</p>',
+  )
+  assert.is(
+    generate(text('a & {b}'), {
+      generator: jsxGenerator,
+      literals: 'verifyRaw',
+    }),
+    '<p>a &amp; b</p>',
+  )
+})
+
+test('JSX source map generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'jsx')
+  const files = fs.readdirSync(dirname).sort()
+  const options = {
+    ecmaVersion,
+    sourceType: 'module',
+    locations: true,
+  }
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    let count = 0
+    const sourceMap = {
+      _file: filename,
+      addMapping({ original, generated, name, source }) {
+        count++
+        assert.deepEqual(
+          pick(generated, ['line', 'column']),
+          pick(original, ['line', 'column']),
+          `${source}:${name}`,
+        )
+      },
+    }
+    generate(JsxParser.parse(code, options), {
+      generator: jsxGenerator,
+      sourceMap,
+    })
+    assert.true(count > 0)
+  })
+})
+
+test('TypeScript generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'typescript')
+  const files = fs.readdirSync(dirname).sort()
+  const options = { generator: typescriptGenerator }
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    const name = filename.substring(0, filename.length - 3)
+    const ast = parseTypeScript(code)
+    const formattedCode = generate(ast, options)
+    assert.is(formattedCode, code, name)
+    assert.deepEqual(parseTypeScript(formattedCode), ast, name)
+  })
+})
+
+test('TypeScript source map generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'typescript')
+  const files = fs.readdirSync(dirname).sort()
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    const sourceMap = {
+      addMapping({ original, generated, name }) {
+        assert.deepEqual(
+          pick(generated, ['line', 'column']),
+          pick(original, ['line', 'column']),
+          `${filename}:${name}`,
+        )
+      },
+    }
+    generate(parseTypeScript(code, { loc: true }), {
+      generator: typescriptGenerator,
+      sourceMap,
+    })
+  })
+})
+
+test('Flow generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'flow')
+  const files = fs.readdirSync(dirname).sort()
+  const options = { generator: flowGenerator }
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    const ast = parseFlow(code, { enums: true })
+    const name = filename.substring(0, filename.length - 3)
+    const formattedCode = generate(ast, options)
+    assert.is(formattedCode, code, name)
+    const formattedAst = parseFlow(formattedCode, { enums: true })
+    stripParserLocation(ast)
+    stripParserLocation(formattedAst)
+    assert.deepEqual(formattedAst, ast, name)
+  })
+  // Object type members without positions are written by kind
+  const ast = parseFlow('type T = { [k: string]: number, a: 1 };')
+  stripParserLocation(ast)
+  assert.is(
+    generate(ast, options),
+    'type T = {\n  a: 1,\n  [k: string]: number,\n};\n',
+  )
+})
+
+test('Flow source map generation', (assert) => {
+  const dirname = path.join(FIXTURES_FOLDER, 'flow')
+  const files = fs.readdirSync(dirname).sort()
+  files.forEach((filename) => {
+    const code = readFile(path.join(dirname, filename))
+    const sourceMap = {
+      addMapping({ original, generated, name }) {
+        assert.deepEqual(
+          pick(generated, ['line', 'column']),
+          pick(original, ['line', 'column']),
+          `${filename}:${name}`,
+        )
+      },
+    }
+    generate(parseFlow(code, { enums: true }), {
+      generator: flowGenerator,
+      sourceMap,
+    })
+  })
+})
+
+const BABEL_OPTIONS = {
+  sourceType: 'module',
+  plugins: [['decorators', { version: '2023-11' }], 'decoratorAutoAccessors'],
+}
+
+function readBabelFixtures(folders) {
+  return folders.reduce((fixtures, folder) => {
+    const dirname = path.join(FIXTURES_FOLDER, folder)
+    return fixtures.concat(
+      fs
+        .readdirSync(dirname)
+        .sort()
+        .map((filename) => ({
+          name: `${folder}/${filename.substring(0, filename.length - 3)}`,
+          code: readFile(path.join(dirname, filename)),
+        })),
+    )
+  }, [])
+}
+
+test('Babel syntax check', (assert) => {
+  const options = { generator: babelGenerator }
+  readBabelFixtures(['syntax', 'babel']).forEach(({ name, code }) => {
+    const ast = parseBabel(code, BABEL_OPTIONS)
+    assert.is(generate(ast, options), code, name)
+  })
+})
+
+test('Babel tree comparison', (assert) => {
+  const options = { generator: babelGenerator }
+  readBabelFixtures(['tree', 'babel']).forEach(({ name, code }) => {
+    const ast = parseBabel(code, BABEL_OPTIONS)
+    const formattedAst = parseBabel(generate(ast, options), BABEL_OPTIONS)
+    stripParserLocation(ast)
+    stripParserLocation(formattedAst)
+    assert.deepEqual(formattedAst, ast, name)
+  })
+})
+
+test('Babel source map generation', (assert) => {
+  readBabelFixtures(['syntax', 'babel']).forEach(({ name, code }) => {
+    const sourceMap = {
+      addMapping({ original, generated }) {
+        assert.deepEqual(
+          pick(generated, ['line', 'column']),
+          pick(original, ['line', 'column']),
+          name,
+        )
+      },
+    }
+    generate(parseBabel(code, BABEL_OPTIONS), {
+      generator: babelGenerator,
+      sourceMap,
+    })
+  })
+})
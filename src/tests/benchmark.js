@@ -8,6 +8,7 @@ import { parseScript as meriyah } from 'meriyah'
 import uglify from 'uglify-js'
 import { generate as escodegen } from 'escodegen'
 import { generate as astring } from '../astring'
+import { babelGenerator as astringBabel } from '../babel'
 import { parse as babelParser } from '@babel/parser'
 import babelGenerator from '@babel/generator'
 import { format as prettier } from 'prettier'
@@ -64,6 +65,7 @@ export function benchmark(code) {
     },
   }
   const babelOptions = {}
+  const astringBabelOptions = { generator: astringBabel }
   const meriyahOptions = {
     module: true,
     specDeviation: true,
@@ -84,6 +86,9 @@ export function benchmark(code) {
     .add('babel', () => {
       babelGenerator(babelAst, babelOptions, code).code
     })
+    .add('astring (babel)', () => {
+      astring(babelAst, astringBabelOptions)
+    })
     .add('prettier', () => {
       prettier(code, prettierOptions)
     })
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+"use strict";
+'use client';
+function f() {
+  "use strict";
+  return 1;
+}
+const a = (b?.c).d;
+const e = (b?.c)();
+const g = b?.c.d?.(e)[f]?.[g];
+const h = new (b?.c)();
+const i = (b + c)?.d;
+const j = {
+  a,
+  b: 1,
+  [c]: 2,
+  d() {},
+  get e() {
+    return 1;
+  },
+  async *f() {}
+};
+const {k, l: m = 1, ...n} = j;
+const o = /ab+c/gi;
+const p = 10n;
+const q = [true, false, null, 0x10, 'single'];
+export * as ns from "module";
+export default "string";
+import("module");
+("not a directive");
+class A {
+  #a = 1;
+  static b;
+  static #c() {}
+  constructor() {}
+  get d() {
+    return (#a in this);
+  }
+}
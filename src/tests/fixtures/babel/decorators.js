@@ -0,0 +1,25 @@
+@observable
+class A {
+  @observable a = 1;
+  @bound static b() {}
+  @logged accessor c = 2;
+  static accessor #d;
+  @a.b.c @d() @e.f(g) get h() {
+    return 1;
+  }
+  @(decorators[0]) i;
+  @(a?.b) j;
+  @(a()()) k() {}
+  @(a ? b : c) #l = 3;
+}
+@a.b(c)
+@d
+class B {}
+const C = @f
+class {
+  @g accessor ["key"];
+};
+function D() {
+  return @h
+  class extends A {};
+}
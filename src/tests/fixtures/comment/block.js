@@ -34,6 +34,16 @@ function h() {
   Trailing block comment inside of function g.
   */
 }
+class A {
+  /*
+  Block comment for static field a.
+  */
+  static a = 1;
+  /**
+  * JSDoc block comment for private method b.
+  */
+  #b() {}
+}
 /*
 Trailing block comment of this script file.
 */
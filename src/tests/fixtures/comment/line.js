@@ -41,4 +41,11 @@ function g() {
   // Trailing line comment
   // Another comment
 }
+class A {
+  // Line comment for field a:
+  a = 1;
+  // Line comment for private field b:
+  #b = null;
+  // Trailing line comment of class A
+}
 // Last line comment
@@ -0,0 +1,24 @@
+let a: number = 1;
+const b: ?string = null;
+let c: Array<string>, d: {
+  [key: string]: number,
+};
+function f(x: number, y?: string, ...rest: Array<boolean>): void {}
+function g<T: Object = {}>(this: T, {a, b}: T, [c]: [number]): T {
+  return this;
+}
+async function* h(): AsyncGenerator<number, void, void> {}
+function isString(x: mixed): boolean %checks {
+  return typeof x === "string";
+}
+const i = (x: number): number => x + 1;
+const j = <T>(x: T): T => x;
+const k = async (x?: number) => x;
+const l = (x: any);
+const m = ((x: any): string).length;
+const n = function (x: number): string {
+  return String(x);
+};
+const o = {
+  method(x: number): void {}
+};
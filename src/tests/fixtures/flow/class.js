@@ -0,0 +1,18 @@
+class A<+T, -U> extends B<T> implements C<T>, D {
+  a: number;
+  +b: T = 1;
+  static c: ?string;
+  declare d: U;
+  #e: string = "";
+  constructor(x: T): void {
+    super();
+  }
+  method<V>(x: V): this {
+    return this;
+  }
+  get f(): number {
+    return 1;
+  }
+  static async *g(): AsyncGenerator<void, void, void> {}
+}
+const E = class<T> implements F {};
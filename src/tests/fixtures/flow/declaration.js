@@ -0,0 +1,63 @@
+import type {A, B} from "./types";
+import typeof C from "./types";
+import {type D, typeof E, F} from "./types";
+export type {A, B};
+export type G = string;
+export opaque type H: string = string;
+export interface I {}
+opaque type J = number;
+interface K<T> extends L<T>, M {
+  a: T,
+  method(): void,
+}
+declare var a: number;
+declare let b: string;
+declare const c: boolean;
+declare function d(x: number): string;
+declare function e(x: mixed): boolean %checks(typeof x === "string");
+declare class F<T> extends G<T> mixins H implements I {
+  static a: number,
+  constructor(): void,
+  method(): T,
+}
+declare type N = string;
+declare opaque type O: string;
+declare interface P {}
+declare module "module" {
+  declare export var a: number;
+  declare export function b(): void;
+  declare export class C {}
+  declare export default class D {}
+  declare export opaque type E;
+  declare export type F = string;
+  declare export interface G {}
+  declare export {h, i as j};
+  declare export {k} from "other";
+  declare export * from "other";
+  declare module.exports: {
+    a: number,
+  };
+}
+declare module M {
+  declare export default string;
+}
+declare export var Q: number;
+enum R {
+  A,
+  B,
+}
+enum S of string {
+  A = "a",
+  B = "b",
+}
+enum T of number {
+  A = 1,
+  B = 2,
+  ...
+}
+enum U of boolean {
+  A = true,
+}
+enum V of symbol {
+  A,
+}
@@ -0,0 +1,63 @@
+type A = string;
+type B<T> = T[];
+type C = (string | number)[];
+type D = ?string[];
+type E = (?string)[];
+type F = ?(string | number);
+type G = A | B & C;
+type H = (A | B) & C;
+type I = () => void;
+type J = (a: string, b?: number) => string;
+type K = (string, number) => void;
+type L = (this: Foo, ...rest: Array<string>) => void;
+type M = <T>(x: T) => T;
+type N = (() => void) | null;
+type O = ?(() => void);
+type P = typeof value;
+type Q = typeof a.b;
+type R = T["key"][number];
+type S = T?.["key"];
+type T = [string, number];
+type U = [first: string, +second?: number, ...rest: Array<boolean>];
+type V = keyof T;
+type W = 1 | -1 | "a" | true | null | 10n;
+type X = any | mixed | empty | void | symbol | bigint | boolean | number | string;
+type Y = $ReadOnly<{
+  a: string,
+}>;
+type Z = Foo.Bar.Baz<A, B>;
+type AA = *;
+type AB = {};
+type AC = {||};
+type AD = {...};
+type AE = {
+  a: string,
+  +b?: number,
+  -c: boolean,
+  ...Other,
+  method(): void,
+  get accessor(): string,
+  set accessor(value: string): void,
+  [key: string]: mixed,
+  +[number]: string,
+  (x: number): string,
+  [[slot]]: T,
+};
+type AF = {|
+  a: string,
+|};
+type AG = {
+  a: string,
+  ...
+};
+type AH = interface {
+  p: string,
+};
+type AI = T extends string ? "yes" : "no";
+type AJ = T extends Array<infer U> ? U : empty;
+type AK<+T, -U: string, V = number> = T;
+type AL = {
+  [k: string]: number,
+  (): void,
+  a: 1,
+};
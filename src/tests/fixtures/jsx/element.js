@@ -0,0 +1,48 @@
+const a = <div />;
+const b = <div></div>;
+const c = <Foo.Bar.Baz />;
+const d = <svg:circle xlink:href="#a" />;
+const e = <input type="text" disabled value={value} {...props} />;
+const f = <p>Hello, {name}!</p>;
+const g = <p> spaces  around </p>;
+const h = <p>&lt;escaped&gt; &amp; &#123;braces&#125;</p>;
+const i = <a href='single' title="double">link</a>;
+const j = <>fragment</>;
+const k = <></>;
+const l = <ul>
+  <li>One</li>
+  <li>Two</li>
+</ul>;
+const m = <div>
+  {items.map(item => <Item key={item.id} {...item} />)}
+  {}
+  <>
+    <span>nested</span>
+  </>
+</div>;
+const n = <p>
+  Text spanning
+  several lines {value}
+</p>;
+const o = <Foo render={() => <div>{x}</div>} children={<span />} />;
+const p = <div>{children}</div>;
+const q = <div>{}</div>.props;
+function render() {
+  return <div className="single-line">{content}</div>;
+}
+function renderMany() {
+  return (
+    <div>
+      <Header />
+      <Content>
+        <p>{text}</p>
+      </Content>
+    </div>
+  );
+}
+const renderArrow = () => (
+  <section>
+    <h1>Title</h1>
+  </section>
+);
+const renderInline = props => <span {...props} />;
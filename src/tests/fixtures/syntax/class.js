@@ -37,3 +37,41 @@ class J extends A {
     super();
   }
 }
+class K {
+  a;
+  b = 1;
+  static c;
+  static d = this.b;
+  ["e"] = 2;
+  static [f] = () => {};
+  #g;
+  #h = 3;
+  static #i = 4;
+  get;
+  static;
+  async = 5;
+}
+class L {
+  #a = 1;
+  #b() {
+    return this.#a;
+  }
+  get #c() {
+    return this.#a;
+  }
+  set #c(value) {
+    this.#a = value;
+  }
+  static #d() {}
+  static async *#e() {}
+  static isL(object) {
+    return (#a in object) && object.#b() === object?.#c;
+  }
+}
+class M {
+  static a;
+  static {
+    this.a = 1;
+  }
+  static {}
+}
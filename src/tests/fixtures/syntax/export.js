@@ -9,3 +9,8 @@ export default i = 42;
 export var j = 42;
 export let k = 42;
 export function l() {}
+export {e as "string name", g as "g"};
+export {"string name" as n, "other name"} from "module";
+export * as "namespace name" from "module";
+export * from "./data.json" with {type: "json"};
+export {o} from "./data.json" with {type: "json"};
@@ -6,3 +6,12 @@ import {k as l, m} from "module";
 import {n, o as p} from "module";
 import("module");
 const x = import("module");
+import json from "./data.json" with {type: "json"};
+import {"string name" as q, "r" as r} from "module";
+import * as s from "module" with {type: "json", "other-key": "value"};
+import "module" with {type: "json"};
+const y = import("./data.json", {
+  with: {
+    type: "json"
+  }
+});
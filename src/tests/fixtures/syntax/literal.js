@@ -4,3 +4,10 @@ const c = +Infinity;
 const d = /abc/;
 const e = /abc/g;
 const f = /abc/gi;
+const g = "\x41B\u{43}\0\
+\t'\"\\";
+const h = '\r\n\u2028';
+const i = 0o17 + 0b11 + 0xF_F + 1_000.5e-1_0 + .5 + 5.;
+const j = 0x1_0n;
+const k = `\x41${g}\u{43}\`\${\
+`;
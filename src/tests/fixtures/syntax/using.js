@@ -0,0 +1,18 @@
+using a = b;
+{
+  using c = d, e = null;
+}
+for (using f of g) {}
+for (using h = i; h; ) {}
+for (using of j) {}
+for (using in k) {}
+let async;
+for ((async) of l) {}
+async function m() {
+  await using n = o;
+  for (await using p of q) {}
+  for await (await using r of s) {}
+  for await (async of t) {}
+  for (await using u = v, w = x; u; ) {}
+  await using;
+}
@@ -0,0 +1,7 @@
+// Optional chains keep their short-circuiting boundaries
+a?.b.c, (a?.b).c, (a?.b)[c], (a?.[b]).c, (a?.b.c).d;
+a?.b(), (a?.b)(), (a?.())(), (a?.b.c)(), (a?.b)?.(), (a?.b)?.c;
+new (a?.b)(), new (a?.b.c)(d), new (a?.())();
+(a?.b)`c`, (a?.b.c)`d${e}`, (a?.())`b`;
+(a?.b).c?.d, ((a?.b).c)?.d.e, (a?.b)().c, (a?.b).c();
+(a + b)`c`, (await a)`b`, (a ? b : c)`d`, new a.b`c`;
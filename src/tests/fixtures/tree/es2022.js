@@ -0,0 +1,29 @@
+class A {
+  a
+  b = 1
+  static c
+  static d = this.b
+  'e' = 2
+  [f] = () => {}
+  static [g + 1] = class {}
+  #h
+  #i = this.#h
+  static #j = 1
+  get;
+  set;
+  static;
+  async;
+  in;
+  x = a ? b : c
+  y = (a, b);
+  #m() { return #h in this }
+  get #n() { return this.#i }
+  set #n(value) { this.#i = value }
+  static async *#o() { yield* this.#m() }
+  static {
+    var a = 1
+    let b = this.#j
+  }
+  static {}
+  p() { return #h in this && this?.#h, (#h in this) === true }
+}
@@ -0,0 +1,636 @@
+// Every pair of binary and logical operators
+(a ?? b) ?? c, a ?? (b ?? c);
+(a ?? b) || c, a ?? (b || c);
+(a ?? b) && c, a ?? (b && c);
+(a ?? b) | c, a ?? (b | c);
+(a ?? b) ^ c, a ?? (b ^ c);
+(a ?? b) & c, a ?? (b & c);
+(a ?? b) == c, a ?? (b == c);
+(a ?? b) != c, a ?? (b != c);
+(a ?? b) === c, a ?? (b === c);
+(a ?? b) !== c, a ?? (b !== c);
+(a ?? b) < c, a ?? (b < c);
+(a ?? b) > c, a ?? (b > c);
+(a ?? b) <= c, a ?? (b <= c);
+(a ?? b) >= c, a ?? (b >= c);
+(a ?? b) in c, a ?? (b in c);
+(a ?? b) instanceof c, a ?? (b instanceof c);
+(a ?? b) << c, a ?? (b << c);
+(a ?? b) >> c, a ?? (b >> c);
+(a ?? b) >>> c, a ?? (b >>> c);
+(a ?? b) + c, a ?? (b + c);
+(a ?? b) - c, a ?? (b - c);
+(a ?? b) * c, a ?? (b * c);
+(a ?? b) % c, a ?? (b % c);
+(a ?? b) / c, a ?? (b / c);
+(a ?? b) ** c, a ?? (b ** c);
+(a || b) ?? c, a || (b ?? c);
+(a || b) || c, a || (b || c);
+(a || b) && c, a || (b && c);
+(a || b) | c, a || (b | c);
+(a || b) ^ c, a || (b ^ c);
+(a || b) & c, a || (b & c);
+(a || b) == c, a || (b == c);
+(a || b) != c, a || (b != c);
+(a || b) === c, a || (b === c);
+(a || b) !== c, a || (b !== c);
+(a || b) < c, a || (b < c);
+(a || b) > c, a || (b > c);
+(a || b) <= c, a || (b <= c);
+(a || b) >= c, a || (b >= c);
+(a || b) in c, a || (b in c);
+(a || b) instanceof c, a || (b instanceof c);
+(a || b) << c, a || (b << c);
+(a || b) >> c, a || (b >> c);
+(a || b) >>> c, a || (b >>> c);
+(a || b) + c, a || (b + c);
+(a || b) - c, a || (b - c);
+(a || b) * c, a || (b * c);
+(a || b) % c, a || (b % c);
+(a || b) / c, a || (b / c);
+(a || b) ** c, a || (b ** c);
+(a && b) ?? c, a && (b ?? c);
+(a && b) || c, a && (b || c);
+(a && b) && c, a && (b && c);
+(a && b) | c, a && (b | c);
+(a && b) ^ c, a && (b ^ c);
+(a && b) & c, a && (b & c);
+(a && b) == c, a && (b == c);
+(a && b) != c, a && (b != c);
+(a && b) === c, a && (b === c);
+(a && b) !== c, a && (b !== c);
+(a && b) < c, a && (b < c);
+(a && b) > c, a && (b > c);
+(a && b) <= c, a && (b <= c);
+(a && b) >= c, a && (b >= c);
+(a && b) in c, a && (b in c);
+(a && b) instanceof c, a && (b instanceof c);
+(a && b) << c, a && (b << c);
+(a && b) >> c, a && (b >> c);
+(a && b) >>> c, a && (b >>> c);
+(a && b) + c, a && (b + c);
+(a && b) - c, a && (b - c);
+(a && b) * c, a && (b * c);
+(a && b) % c, a && (b % c);
+(a && b) / c, a && (b / c);
+(a && b) ** c, a && (b ** c);
+(a | b) ?? c, a | (b ?? c);
+(a | b) || c, a | (b || c);
+(a | b) && c, a | (b && c);
+(a | b) | c, a | (b | c);
+(a | b) ^ c, a | (b ^ c);
+(a | b) & c, a | (b & c);
+(a | b) == c, a | (b == c);
+(a | b) != c, a | (b != c);
+(a | b) === c, a | (b === c);
+(a | b) !== c, a | (b !== c);
+(a | b) < c, a | (b < c);
+(a | b) > c, a | (b > c);
+(a | b) <= c, a | (b <= c);
+(a | b) >= c, a | (b >= c);
+(a | b) in c, a | (b in c);
+(a | b) instanceof c, a | (b instanceof c);
+(a | b) << c, a | (b << c);
+(a | b) >> c, a | (b >> c);
+(a | b) >>> c, a | (b >>> c);
+(a | b) + c, a | (b + c);
+(a | b) - c, a | (b - c);
+(a | b) * c, a | (b * c);
+(a | b) % c, a | (b % c);
+(a | b) / c, a | (b / c);
+(a | b) ** c, a | (b ** c);
+(a ^ b) ?? c, a ^ (b ?? c);
+(a ^ b) || c, a ^ (b || c);
+(a ^ b) && c, a ^ (b && c);
+(a ^ b) | c, a ^ (b | c);
+(a ^ b) ^ c, a ^ (b ^ c);
+(a ^ b) & c, a ^ (b & c);
+(a ^ b) == c, a ^ (b == c);
+(a ^ b) != c, a ^ (b != c);
+(a ^ b) === c, a ^ (b === c);
+(a ^ b) !== c, a ^ (b !== c);
+(a ^ b) < c, a ^ (b < c);
+(a ^ b) > c, a ^ (b > c);
+(a ^ b) <= c, a ^ (b <= c);
+(a ^ b) >= c, a ^ (b >= c);
+(a ^ b) in c, a ^ (b in c);
+(a ^ b) instanceof c, a ^ (b instanceof c);
+(a ^ b) << c, a ^ (b << c);
+(a ^ b) >> c, a ^ (b >> c);
+(a ^ b) >>> c, a ^ (b >>> c);
+(a ^ b) + c, a ^ (b + c);
+(a ^ b) - c, a ^ (b - c);
+(a ^ b) * c, a ^ (b * c);
+(a ^ b) % c, a ^ (b % c);
+(a ^ b) / c, a ^ (b / c);
+(a ^ b) ** c, a ^ (b ** c);
+(a & b) ?? c, a & (b ?? c);
+(a & b) || c, a & (b || c);
+(a & b) && c, a & (b && c);
+(a & b) | c, a & (b | c);
+(a & b) ^ c, a & (b ^ c);
+(a & b) & c, a & (b & c);
+(a & b) == c, a & (b == c);
+(a & b) != c, a & (b != c);
+(a & b) === c, a & (b === c);
+(a & b) !== c, a & (b !== c);
+(a & b) < c, a & (b < c);
+(a & b) > c, a & (b > c);
+(a & b) <= c, a & (b <= c);
+(a & b) >= c, a & (b >= c);
+(a & b) in c, a & (b in c);
+(a & b) instanceof c, a & (b instanceof c);
+(a & b) << c, a & (b << c);
+(a & b) >> c, a & (b >> c);
+(a & b) >>> c, a & (b >>> c);
+(a & b) + c, a & (b + c);
+(a & b) - c, a & (b - c);
+(a & b) * c, a & (b * c);
+(a & b) % c, a & (b % c);
+(a & b) / c, a & (b / c);
+(a & b) ** c, a & (b ** c);
+(a == b) ?? c, a == (b ?? c);
+(a == b) || c, a == (b || c);
+(a == b) && c, a == (b && c);
+(a == b) | c, a == (b | c);
+(a == b) ^ c, a == (b ^ c);
+(a == b) & c, a == (b & c);
+(a == b) == c, a == (b == c);
+(a == b) != c, a == (b != c);
+(a == b) === c, a == (b === c);
+(a == b) !== c, a == (b !== c);
+(a == b) < c, a == (b < c);
+(a == b) > c, a == (b > c);
+(a == b) <= c, a == (b <= c);
+(a == b) >= c, a == (b >= c);
+(a == b) in c, a == (b in c);
+(a == b) instanceof c, a == (b instanceof c);
+(a == b) << c, a == (b << c);
+(a == b) >> c, a == (b >> c);
+(a == b) >>> c, a == (b >>> c);
+(a == b) + c, a == (b + c);
+(a == b) - c, a == (b - c);
+(a == b) * c, a == (b * c);
+(a == b) % c, a == (b % c);
+(a == b) / c, a == (b / c);
+(a == b) ** c, a == (b ** c);
+(a != b) ?? c, a != (b ?? c);
+(a != b) || c, a != (b || c);
+(a != b) && c, a != (b && c);
+(a != b) | c, a != (b | c);
+(a != b) ^ c, a != (b ^ c);
+(a != b) & c, a != (b & c);
+(a != b) == c, a != (b == c);
+(a != b) != c, a != (b != c);
+(a != b) === c, a != (b === c);
+(a != b) !== c, a != (b !== c);
+(a != b) < c, a != (b < c);
+(a != b) > c, a != (b > c);
+(a != b) <= c, a != (b <= c);
+(a != b) >= c, a != (b >= c);
+(a != b) in c, a != (b in c);
+(a != b) instanceof c, a != (b instanceof c);
+(a != b) << c, a != (b << c);
+(a != b) >> c, a != (b >> c);
+(a != b) >>> c, a != (b >>> c);
+(a != b) + c, a != (b + c);
+(a != b) - c, a != (b - c);
+(a != b) * c, a != (b * c);
+(a != b) % c, a != (b % c);
+(a != b) / c, a != (b / c);
+(a != b) ** c, a != (b ** c);
+(a === b) ?? c, a === (b ?? c);
+(a === b) || c, a === (b || c);
+(a === b) && c, a === (b && c);
+(a === b) | c, a === (b | c);
+(a === b) ^ c, a === (b ^ c);
+(a === b) & c, a === (b & c);
+(a === b) == c, a === (b == c);
+(a === b) != c, a === (b != c);
+(a === b) === c, a === (b === c);
+(a === b) !== c, a === (b !== c);
+(a === b) < c, a === (b < c);
+(a === b) > c, a === (b > c);
+(a === b) <= c, a === (b <= c);
+(a === b) >= c, a === (b >= c);
+(a === b) in c, a === (b in c);
+(a === b) instanceof c, a === (b instanceof c);
+(a === b) << c, a === (b << c);
+(a === b) >> c, a === (b >> c);
+(a === b) >>> c, a === (b >>> c);
+(a === b) + c, a === (b + c);
+(a === b) - c, a === (b - c);
+(a === b) * c, a === (b * c);
+(a === b) % c, a === (b % c);
+(a === b) / c, a === (b / c);
+(a === b) ** c, a === (b ** c);
+(a !== b) ?? c, a !== (b ?? c);
+(a !== b) || c, a !== (b || c);
+(a !== b) && c, a !== (b && c);
+(a !== b) | c, a !== (b | c);
+(a !== b) ^ c, a !== (b ^ c);
+(a !== b) & c, a !== (b & c);
+(a !== b) == c, a !== (b == c);
+(a !== b) != c, a !== (b != c);
+(a !== b) === c, a !== (b === c);
+(a !== b) !== c, a !== (b !== c);
+(a !== b) < c, a !== (b < c);
+(a !== b) > c, a !== (b > c);
+(a !== b) <= c, a !== (b <= c);
+(a !== b) >= c, a !== (b >= c);
+(a !== b) in c, a !== (b in c);
+(a !== b) instanceof c, a !== (b instanceof c);
+(a !== b) << c, a !== (b << c);
+(a !== b) >> c, a !== (b >> c);
+(a !== b) >>> c, a !== (b >>> c);
+(a !== b) + c, a !== (b + c);
+(a !== b) - c, a !== (b - c);
+(a !== b) * c, a !== (b * c);
+(a !== b) % c, a !== (b % c);
+(a !== b) / c, a !== (b / c);
+(a !== b) ** c, a !== (b ** c);
+(a < b) ?? c, a < (b ?? c);
+(a < b) || c, a < (b || c);
+(a < b) && c, a < (b && c);
+(a < b) | c, a < (b | c);
+(a < b) ^ c, a < (b ^ c);
+(a < b) & c, a < (b & c);
+(a < b) == c, a < (b == c);
+(a < b) != c, a < (b != c);
+(a < b) === c, a < (b === c);
+(a < b) !== c, a < (b !== c);
+(a < b) < c, a < (b < c);
+(a < b) > c, a < (b > c);
+(a < b) <= c, a < (b <= c);
+(a < b) >= c, a < (b >= c);
+(a < b) in c, a < (b in c);
+(a < b) instanceof c, a < (b instanceof c);
+(a < b) << c, a < (b << c);
+(a < b) >> c, a < (b >> c);
+(a < b) >>> c, a < (b >>> c);
+(a < b) + c, a < (b + c);
+(a < b) - c, a < (b - c);
+(a < b) * c, a < (b * c);
+(a < b) % c, a < (b % c);
+(a < b) / c, a < (b / c);
+(a < b) ** c, a < (b ** c);
+(a > b) ?? c, a > (b ?? c);
+(a > b) || c, a > (b || c);
+(a > b) && c, a > (b && c);
+(a > b) | c, a > (b | c);
+(a > b) ^ c, a > (b ^ c);
+(a > b) & c, a > (b & c);
+(a > b) == c, a > (b == c);
+(a > b) != c, a > (b != c);
+(a > b) === c, a > (b === c);
+(a > b) !== c, a > (b !== c);
+(a > b) < c, a > (b < c);
+(a > b) > c, a > (b > c);
+(a > b) <= c, a > (b <= c);
+(a > b) >= c, a > (b >= c);
+(a > b) in c, a > (b in c);
+(a > b) instanceof c, a > (b instanceof c);
+(a > b) << c, a > (b << c);
+(a > b) >> c, a > (b >> c);
+(a > b) >>> c, a > (b >>> c);
+(a > b) + c, a > (b + c);
+(a > b) - c, a > (b - c);
+(a > b) * c, a > (b * c);
+(a > b) % c, a > (b % c);
+(a > b) / c, a > (b / c);
+(a > b) ** c, a > (b ** c);
+(a <= b) ?? c, a <= (b ?? c);
+(a <= b) || c, a <= (b || c);
+(a <= b) && c, a <= (b && c);
+(a <= b) | c, a <= (b | c);
+(a <= b) ^ c, a <= (b ^ c);
+(a <= b) & c, a <= (b & c);
+(a <= b) == c, a <= (b == c);
+(a <= b) != c, a <= (b != c);
+(a <= b) === c, a <= (b === c);
+(a <= b) !== c, a <= (b !== c);
+(a <= b) < c, a <= (b < c);
+(a <= b) > c, a <= (b > c);
+(a <= b) <= c, a <= (b <= c);
+(a <= b) >= c, a <= (b >= c);
+(a <= b) in c, a <= (b in c);
+(a <= b) instanceof c, a <= (b instanceof c);
+(a <= b) << c, a <= (b << c);
+(a <= b) >> c, a <= (b >> c);
+(a <= b) >>> c, a <= (b >>> c);
+(a <= b) + c, a <= (b + c);
+(a <= b) - c, a <= (b - c);
+(a <= b) * c, a <= (b * c);
+(a <= b) % c, a <= (b % c);
+(a <= b) / c, a <= (b / c);
+(a <= b) ** c, a <= (b ** c);
+(a >= b) ?? c, a >= (b ?? c);
+(a >= b) || c, a >= (b || c);
+(a >= b) && c, a >= (b && c);
+(a >= b) | c, a >= (b | c);
+(a >= b) ^ c, a >= (b ^ c);
+(a >= b) & c, a >= (b & c);
+(a >= b) == c, a >= (b == c);
+(a >= b) != c, a >= (b != c);
+(a >= b) === c, a >= (b === c);
+(a >= b) !== c, a >= (b !== c);
+(a >= b) < c, a >= (b < c);
+(a >= b) > c, a >= (b > c);
+(a >= b) <= c, a >= (b <= c);
+(a >= b) >= c, a >= (b >= c);
+(a >= b) in c, a >= (b in c);
+(a >= b) instanceof c, a >= (b instanceof c);
+(a >= b) << c, a >= (b << c);
+(a >= b) >> c, a >= (b >> c);
+(a >= b) >>> c, a >= (b >>> c);
+(a >= b) + c, a >= (b + c);
+(a >= b) - c, a >= (b - c);
+(a >= b) * c, a >= (b * c);
+(a >= b) % c, a >= (b % c);
+(a >= b) / c, a >= (b / c);
+(a >= b) ** c, a >= (b ** c);
+(a in b) ?? c, a in (b ?? c);
+(a in b) || c, a in (b || c);
+(a in b) && c, a in (b && c);
+(a in b) | c, a in (b | c);
+(a in b) ^ c, a in (b ^ c);
+(a in b) & c, a in (b & c);
+(a in b) == c, a in (b == c);
+(a in b) != c, a in (b != c);
+(a in b) === c, a in (b === c);
+(a in b) !== c, a in (b !== c);
+(a in b) < c, a in (b < c);
+(a in b) > c, a in (b > c);
+(a in b) <= c, a in (b <= c);
+(a in b) >= c, a in (b >= c);
+(a in b) in c, a in (b in c);
+(a in b) instanceof c, a in (b instanceof c);
+(a in b) << c, a in (b << c);
+(a in b) >> c, a in (b >> c);
+(a in b) >>> c, a in (b >>> c);
+(a in b) + c, a in (b + c);
+(a in b) - c, a in (b - c);
+(a in b) * c, a in (b * c);
+(a in b) % c, a in (b % c);
+(a in b) / c, a in (b / c);
+(a in b) ** c, a in (b ** c);
+(a instanceof b) ?? c, a instanceof (b ?? c);
+(a instanceof b) || c, a instanceof (b || c);
+(a instanceof b) && c, a instanceof (b && c);
+(a instanceof b) | c, a instanceof (b | c);
+(a instanceof b) ^ c, a instanceof (b ^ c);
+(a instanceof b) & c, a instanceof (b & c);
+(a instanceof b) == c, a instanceof (b == c);
+(a instanceof b) != c, a instanceof (b != c);
+(a instanceof b) === c, a instanceof (b === c);
+(a instanceof b) !== c, a instanceof (b !== c);
+(a instanceof b) < c, a instanceof (b < c);
+(a instanceof b) > c, a instanceof (b > c);
+(a instanceof b) <= c, a instanceof (b <= c);
+(a instanceof b) >= c, a instanceof (b >= c);
+(a instanceof b) in c, a instanceof (b in c);
+(a instanceof b) instanceof c, a instanceof (b instanceof c);
+(a instanceof b) << c, a instanceof (b << c);
+(a instanceof b) >> c, a instanceof (b >> c);
+(a instanceof b) >>> c, a instanceof (b >>> c);
+(a instanceof b) + c, a instanceof (b + c);
+(a instanceof b) - c, a instanceof (b - c);
+(a instanceof b) * c, a instanceof (b * c);
+(a instanceof b) % c, a instanceof (b % c);
+(a instanceof b) / c, a instanceof (b / c);
+(a instanceof b) ** c, a instanceof (b ** c);
+(a << b) ?? c, a << (b ?? c);
+(a << b) || c, a << (b || c);
+(a << b) && c, a << (b && c);
+(a << b) | c, a << (b | c);
+(a << b) ^ c, a << (b ^ c);
+(a << b) & c, a << (b & c);
+(a << b) == c, a << (b == c);
+(a << b) != c, a << (b != c);
+(a << b) === c, a << (b === c);
+(a << b) !== c, a << (b !== c);
+(a << b) < c, a << (b < c);
+(a << b) > c, a << (b > c);
+(a << b) <= c, a << (b <= c);
+(a << b) >= c, a << (b >= c);
+(a << b) in c, a << (b in c);
+(a << b) instanceof c, a << (b instanceof c);
+(a << b) << c, a << (b << c);
+(a << b) >> c, a << (b >> c);
+(a << b) >>> c, a << (b >>> c);
+(a << b) + c, a << (b + c);
+(a << b) - c, a << (b - c);
+(a << b) * c, a << (b * c);
+(a << b) % c, a << (b % c);
+(a << b) / c, a << (b / c);
+(a << b) ** c, a << (b ** c);
+(a >> b) ?? c, a >> (b ?? c);
+(a >> b) || c, a >> (b || c);
+(a >> b) && c, a >> (b && c);
+(a >> b) | c, a >> (b | c);
+(a >> b) ^ c, a >> (b ^ c);
+(a >> b) & c, a >> (b & c);
+(a >> b) == c, a >> (b == c);
+(a >> b) != c, a >> (b != c);
+(a >> b) === c, a >> (b === c);
+(a >> b) !== c, a >> (b !== c);
+(a >> b) < c, a >> (b < c);
+(a >> b) > c, a >> (b > c);
+(a >> b) <= c, a >> (b <= c);
+(a >> b) >= c, a >> (b >= c);
+(a >> b) in c, a >> (b in c);
+(a >> b) instanceof c, a >> (b instanceof c);
+(a >> b) << c, a >> (b << c);
+(a >> b) >> c, a >> (b >> c);
+(a >> b) >>> c, a >> (b >>> c);
+(a >> b) + c, a >> (b + c);
+(a >> b) - c, a >> (b - c);
+(a >> b) * c, a >> (b * c);
+(a >> b) % c, a >> (b % c);
+(a >> b) / c, a >> (b / c);
+(a >> b) ** c, a >> (b ** c);
+(a >>> b) ?? c, a >>> (b ?? c);
+(a >>> b) || c, a >>> (b || c);
+(a >>> b) && c, a >>> (b && c);
+(a >>> b) | c, a >>> (b | c);
+(a >>> b) ^ c, a >>> (b ^ c);
+(a >>> b) & c, a >>> (b & c);
+(a >>> b) == c, a >>> (b == c);
+(a >>> b) != c, a >>> (b != c);
+(a >>> b) === c, a >>> (b === c);
+(a >>> b) !== c, a >>> (b !== c);
+(a >>> b) < c, a >>> (b < c);
+(a >>> b) > c, a >>> (b > c);
+(a >>> b) <= c, a >>> (b <= c);
+(a >>> b) >= c, a >>> (b >= c);
+(a >>> b) in c, a >>> (b in c);
+(a >>> b) instanceof c, a >>> (b instanceof c);
+(a >>> b) << c, a >>> (b << c);
+(a >>> b) >> c, a >>> (b >> c);
+(a >>> b) >>> c, a >>> (b >>> c);
+(a >>> b) + c, a >>> (b + c);
+(a >>> b) - c, a >>> (b - c);
+(a >>> b) * c, a >>> (b * c);
+(a >>> b) % c, a >>> (b % c);
+(a >>> b) / c, a >>> (b / c);
+(a >>> b) ** c, a >>> (b ** c);
+(a + b) ?? c, a + (b ?? c);
+(a + b) || c, a + (b || c);
+(a + b) && c, a + (b && c);
+(a + b) | c, a + (b | c);
+(a + b) ^ c, a + (b ^ c);
+(a + b) & c, a + (b & c);
+(a + b) == c, a + (b == c);
+(a + b) != c, a + (b != c);
+(a + b) === c, a + (b === c);
+(a + b) !== c, a + (b !== c);
+(a + b) < c, a + (b < c);
+(a + b) > c, a + (b > c);
+(a + b) <= c, a + (b <= c);
+(a + b) >= c, a + (b >= c);
+(a + b) in c, a + (b in c);
+(a + b) instanceof c, a + (b instanceof c);
+(a + b) << c, a + (b << c);
+(a + b) >> c, a + (b >> c);
+(a + b) >>> c, a + (b >>> c);
+(a + b) + c, a + (b + c);
+(a + b) - c, a + (b - c);
+(a + b) * c, a + (b * c);
+(a + b) % c, a + (b % c);
+(a + b) / c, a + (b / c);
+(a + b) ** c, a + (b ** c);
+(a - b) ?? c, a - (b ?? c);
+(a - b) || c, a - (b || c);
+(a - b) && c, a - (b && c);
+(a - b) | c, a - (b | c);
+(a - b) ^ c, a - (b ^ c);
+(a - b) & c, a - (b & c);
+(a - b) == c, a - (b == c);
+(a - b) != c, a - (b != c);
+(a - b) === c, a - (b === c);
+(a - b) !== c, a - (b !== c);
+(a - b) < c, a - (b < c);
+(a - b) > c, a - (b > c);
+(a - b) <= c, a - (b <= c);
+(a - b) >= c, a - (b >= c);
+(a - b) in c, a - (b in c);
+(a - b) instanceof c, a - (b instanceof c);
+(a - b) << c, a - (b << c);
+(a - b) >> c, a - (b >> c);
+(a - b) >>> c, a - (b >>> c);
+(a - b) + c, a - (b + c);
+(a - b) - c, a - (b - c);
+(a - b) * c, a - (b * c);
+(a - b) % c, a - (b % c);
+(a - b) / c, a - (b / c);
+(a - b) ** c, a - (b ** c);
+(a * b) ?? c, a * (b ?? c);
+(a * b) || c, a * (b || c);
+(a * b) && c, a * (b && c);
+(a * b) | c, a * (b | c);
+(a * b) ^ c, a * (b ^ c);
+(a * b) & c, a * (b & c);
+(a * b) == c, a * (b == c);
+(a * b) != c, a * (b != c);
+(a * b) === c, a * (b === c);
+(a * b) !== c, a * (b !== c);
+(a * b) < c, a * (b < c);
+(a * b) > c, a * (b > c);
+(a * b) <= c, a * (b <= c);
+(a * b) >= c, a * (b >= c);
+(a * b) in c, a * (b in c);
+(a * b) instanceof c, a * (b instanceof c);
+(a * b) << c, a * (b << c);
+(a * b) >> c, a * (b >> c);
+(a * b) >>> c, a * (b >>> c);
+(a * b) + c, a * (b + c);
+(a * b) - c, a * (b - c);
+(a * b) * c, a * (b * c);
+(a * b) % c, a * (b % c);
+(a * b) / c, a * (b / c);
+(a * b) ** c, a * (b ** c);
+(a % b) ?? c, a % (b ?? c);
+(a % b) || c, a % (b || c);
+(a % b) && c, a % (b && c);
+(a % b) | c, a % (b | c);
+(a % b) ^ c, a % (b ^ c);
+(a % b) & c, a % (b & c);
+(a % b) == c, a % (b == c);
+(a % b) != c, a % (b != c);
+(a % b) === c, a % (b === c);
+(a % b) !== c, a % (b !== c);
+(a % b) < c, a % (b < c);
+(a % b) > c, a % (b > c);
+(a % b) <= c, a % (b <= c);
+(a % b) >= c, a % (b >= c);
+(a % b) in c, a % (b in c);
+(a % b) instanceof c, a % (b instanceof c);
+(a % b) << c, a % (b << c);
+(a % b) >> c, a % (b >> c);
+(a % b) >>> c, a % (b >>> c);
+(a % b) + c, a % (b + c);
+(a % b) - c, a % (b - c);
+(a % b) * c, a % (b * c);
+(a % b) % c, a % (b % c);
+(a % b) / c, a % (b / c);
+(a % b) ** c, a % (b ** c);
+(a / b) ?? c, a / (b ?? c);
+(a / b) || c, a / (b || c);
+(a / b) && c, a / (b && c);
+(a / b) | c, a / (b | c);
+(a / b) ^ c, a / (b ^ c);
+(a / b) & c, a / (b & c);
+(a / b) == c, a / (b == c);
+(a / b) != c, a / (b != c);
+(a / b) === c, a / (b === c);
+(a / b) !== c, a / (b !== c);
+(a / b) < c, a / (b < c);
+(a / b) > c, a / (b > c);
+(a / b) <= c, a / (b <= c);
+(a / b) >= c, a / (b >= c);
+(a / b) in c, a / (b in c);
+(a / b) instanceof c, a / (b instanceof c);
+(a / b) << c, a / (b << c);
+(a / b) >> c, a / (b >> c);
+(a / b) >>> c, a / (b >>> c);
+(a / b) + c, a / (b + c);
+(a / b) - c, a / (b - c);
+(a / b) * c, a / (b * c);
+(a / b) % c, a / (b % c);
+(a / b) / c, a / (b / c);
+(a / b) ** c, a / (b ** c);
+(a ** b) ?? c, a ** (b ?? c);
+(a ** b) || c, a ** (b || c);
+(a ** b) && c, a ** (b && c);
+(a ** b) | c, a ** (b | c);
+(a ** b) ^ c, a ** (b ^ c);
+(a ** b) & c, a ** (b & c);
+(a ** b) == c, a ** (b == c);
+(a ** b) != c, a ** (b != c);
+(a ** b) === c, a ** (b === c);
+(a ** b) !== c, a ** (b !== c);
+(a ** b) < c, a ** (b < c);
+(a ** b) > c, a ** (b > c);
+(a ** b) <= c, a ** (b <= c);
+(a ** b) >= c, a ** (b >= c);
+(a ** b) in c, a ** (b in c);
+(a ** b) instanceof c, a ** (b instanceof c);
+(a ** b) << c, a ** (b << c);
+(a ** b) >> c, a ** (b >> c);
+(a ** b) >>> c, a ** (b >>> c);
+(a ** b) + c, a ** (b + c);
+(a ** b) - c, a ** (b - c);
+(a ** b) * c, a ** (b * c);
+(a ** b) % c, a ** (b % c);
+(a ** b) / c, a ** (b / c);
+(a ** b) ** c, a ** (b ** c);
+// Logical assignment operators
+a &&= b && c, a ||= b || c, a ??= b ?? c;
+a &&= b ||= c ??= d, (a ??= b) ?? c, a ?? (b ??= c);
+a ||= b ?? c, a ??= b || c, a &&= (b ?? c) || d;
+(a ||= b) && c, a && (b &&= c), a || (b = c);
+// Exponentiation with unary operands
+(-a) ** b, (+a) ** b, (!a) ** b, (~a) ** b;
+(typeof a) ** b, (void a) ** b, (delete a.b) ** c;
+(await a) ** b, ++a ** b, a++ ** b, a ** -b, a ** ++b;
+(-1) ** a, (-1n) ** a, a ** -1, -(a ** b), (-a) ** b ** -c;
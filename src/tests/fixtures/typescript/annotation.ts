@@ -0,0 +1,25 @@
+let a: number = 1;
+let b!: string;
+const c: Array<string> = [];
+declare const d: unknown;
+declare let e: any, f: never;
+let g: bigint | boolean | null | undefined | void | symbol | object;
+function h(x: number, y?: string, ...z: number[]): string {
+  return x + y;
+}
+function i<T, U extends keyof T = keyof T>(this: Window, {a, b}: T, [c]: U[] = []): void {}
+function j(value: unknown): value is string {}
+function k(value: unknown): asserts value is string {}
+function l(value: unknown): asserts value {}
+function m(this: Foo): this is Bar {}
+const n = (x: number): number => x * 2;
+const o = async <T>(x: T): Promise<T> => x;
+const p = (x?: number) => x;
+const q = x => x;
+const r = function <T>(x: T): T {
+  return x;
+};
+declare function s(x: number): string;
+declare function s(x: string): number;
+function t(x: number): void;
+function t(x: any) {}
@@ -0,0 +1,42 @@
+class A<T> extends B<T> implements C, D<T> {
+  a: string;
+  b?: number;
+  c!: boolean;
+  private d = 1;
+  protected readonly e: T;
+  public static f: string;
+  static readonly g = 1;
+  declare h: string;
+  override i = 2;
+  [key: string]: unknown;
+  constructor(private x: number, public readonly y: string, protected z = 1) {
+    super();
+  }
+  method<U>(a: U): U {
+    return a;
+  }
+  optional?(): void;
+  overload(a: string): void;
+  overload(a: number): void;
+  overload(a: any) {}
+  private get value(): number {
+    return 1;
+  }
+  protected set value(value: number) {}
+  public static async *generator(): AsyncGenerator<number> {}
+  override toString(): string {
+    return "";
+  }
+}
+abstract class E {
+  abstract a: string;
+  protected abstract b?: number;
+  abstract c(): void;
+  public abstract d<T>(x: T): T;
+  abstract get e(): string;
+}
+declare class F {
+  method(): void;
+}
+export abstract class G {}
+const H = class<T> implements I {};
@@ -0,0 +1,53 @@
+interface A {}
+interface B<T> extends A, C<T> {
+  x: T;
+}
+declare interface D {
+  y(): void;
+}
+enum E {}
+enum F {
+  A,
+  B = 2,
+  "C" = B << 1
+}
+const enum G {
+  A = 1
+}
+declare enum H {
+  A
+}
+namespace I {
+  export const a = 1;
+}
+namespace J.K.L {}
+declare namespace M {
+  function f(): void;
+}
+module N {}
+declare module "module" {
+  export default function f(): void;
+}
+declare module "short";
+declare global {
+  interface Window {
+    value: string;
+  }
+}
+import type {A1} from "module";
+import type A2 from "module";
+import {type A3, A4 as A5} from "module";
+import A6 = require("module");
+import A7 = I.a;
+import type A8 = require("module");
+import A9 from "./data.json" assert {type: "json"};
+export type {A1};
+export {type A2};
+export type * from "module";
+export type * as A9 from "module";
+export interface B1 {}
+export type B2 = string;
+export declare const B3: number;
+export default interface B4 {}
+export = B1;
+export as namespace B5;
@@ -0,0 +1,28 @@
+@Component({
+  selector: "app-root"
+})
+export class AppComponent {
+  @Input() name: string;
+  @Output() readonly changed = new EventEmitter<string>();
+  @ViewChild(Child, {
+    static: true
+  }) private child!: Child;
+  @logged static accessor count: number = 0;
+  accessor label: string;
+  constructor(@Inject(TOKEN) private readonly service: Service, @Optional() options?: Options) {}
+  @HostListener("click", ["$event"]) onClick(@Arg() event: Event, @Arg() {x}: Point, @Arg() value = 1) {}
+  @(decorators[0]) get value(): number {
+    return 1;
+  }
+}
+export abstract class Base {
+  abstract accessor id: string;
+  protected abstract run(): void;
+}
+@sealed
+export default class {}
+function create() {
+  @sealed
+  class Local {}
+  return Local;
+}
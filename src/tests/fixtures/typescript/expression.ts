@@ -0,0 +1,34 @@
+a as string;
+a as const;
+a + b as number;
+(a || b) as number;
+(a == b) as boolean;
+(a as any) + b;
+a as any as string;
+(a as any).b;
+!(a as boolean);
+x = y as number;
+a satisfies B;
+(a satisfies B).c;
+a!;
+a!.b!.c;
+a.b!();
+(a + b)!;
+<string>a;
+<any>(a + b);
+(<any>a).b;
+f<string>(a);
+new F<string>(a);
+a?.b<string>();
+tag<string>`template`;
+const g = f<string>;
+const h = (f<string>).name;
+const i = ({}) as Record<string, number>;
+(a as any) = 1;
+(a satisfies B) = 1;
+(<any>a) = 1;
+(a as any).b = 1;
+a! = 1;
+(a as number)++;
+--(<number>a);
+for ((a as any) of b) ;
@@ -0,0 +1,51 @@
+type A = string;
+type B<T> = T[];
+type C = (string | number)[];
+type D = readonly string[];
+type E = keyof T;
+type F = (keyof T)[];
+type G = keyof (A | B);
+type H = T[K];
+type I = T["key"][number];
+type J = [string, number?, ...boolean[]];
+type K = [first: string, second?: number, ...rest: boolean[]];
+type L = A | B & C;
+type M = (A | B) & C;
+type N = () => void;
+type O = (a: string, b?: number) => string;
+type P = new (a: string) => Foo;
+type Q = abstract new () => object;
+type R = (() => void) | null;
+type S = <T>(x: T) => T;
+type T = T extends string ? "yes" : "no";
+type U = T extends (infer V)[] ? V : never;
+type V = T extends [infer W extends string] ? W : never;
+type W = (A extends B ? C : D) extends E ? F : G;
+type X = typeof value;
+type Y = typeof import("module");
+type Z = import("module").Foo<string>;
+type AA = `prefix-${string}`;
+type AB = 1 | -1 | "a" | true | 10n;
+type AC = {};
+type AD = {
+  a: string;
+  readonly b?: number;
+  [key: string]: unknown;
+  method(): void;
+  optional?(x: number): string;
+  get accessor(): string;
+  set accessor(value: string);
+  (x: number): string;
+  new (x: number): Foo;
+  <T>(x: T): T;
+};
+type AE = {[K in keyof T]: T[K]};
+type AF = {readonly [K in keyof T]?: T[K]};
+type AG = {-readonly [K in keyof T]-?: T[K]};
+type AH = {+readonly [K in keyof T]+?: T[K]};
+type AI = {[K in keyof T as `get${K}`]: () => T[K]};
+type AJ = unique symbol;
+type AK = this;
+type AL = Foo.Bar.Baz<A, B>;
+type AM = typeof a.b<string>;
+type AN = intrinsic;
@@ -0,0 +1,424 @@
+// Type annotation helpers shared by the TypeScript and Flow generators
+
+import { baseGenerator } from './astring'
+import {
+  EXPRESSIONS_PRECEDENCE,
+  formatArrowFunctionBody,
+  formatClassDecorators,
+  formatClassKey,
+  formatComments,
+  formatDecorators,
+  formatExpressionOperand,
+  formatList,
+  formatSequence,
+  hasCallExpression,
+  hasQuotedKeys,
+  NEEDS_PARENTHESES,
+  templateElementRaw,
+} from './format'
+
+export function formatTypeAnnotation(state, node) {
+  /*
+  Writes into `state` the optional marker and type annotation of the provided `node`, if any.
+  */
+  if (node.optional) {
+    state.write('?')
+  }
+  const { typeAnnotation } = node
+  if (typeAnnotation != null) {
+    state.generator[typeAnnotation.type](typeAnnotation, state)
+  }
+}
+
+export function formatTypeParameters(state, node) {
+  /*
+  Writes into `state` the type parameters or type arguments `node`, if any.
+  */
+  if (node != null) {
+    state.generator[node.type](node, state)
+  }
+}
+
+export function formatSignature(state, node) {
+  /*
+  Writes into `state` the type parameters, parameters and return type of a function-like `node`.
+  */
+  formatTypeParameters(state, node.typeParameters)
+  formatSequence(state, node.params)
+  const { returnType, predicate } = node
+  if (returnType != null) {
+    state.generator[returnType.type](returnType, state)
+  }
+  if (predicate != null) {
+    // Flow predicate, such as `%checks`
+    state.write(returnType != null ? ' ' : ': ')
+    state.generator[predicate.type](predicate, state)
+  }
+}
+
+export function formatModifiers(state, node) {
+  /*
+  Writes into `state` the modifiers of a class member or parameter property `node`.
+  */
+  if (node.accessibility != null) {
+    state.write(node.accessibility + ' ')
+  }
+  if (node.declare) {
+    state.write('declare ')
+  }
+  if (node.static) {
+    state.write('static ')
+  }
+  if (node.abstract || node.type.indexOf('Abstract') !== -1) {
+    state.write('abstract ')
+  }
+  if (node.override) {
+    state.write('override ')
+  }
+  if (node.readonly) {
+    state.write('readonly ')
+  }
+  if (node.variance != null) {
+    state.generator[node.variance.type](node.variance, state)
+  }
+}
+
+function hasAnnotatedParameters(node) {
+  /*
+  Returns `true` if the parameters of the arrow function `node` cannot be written without parentheses.
+  */
+  const { params } = node
+  if (
+    node.typeParameters != null ||
+    node.returnType != null ||
+    node.predicate != null
+  ) {
+    return true
+  }
+  if (params.length !== 1) {
+    return false
+  }
+  const param = params[0]
+  return param.typeAnnotation != null || param.optional === true
+}
+
+function formatTypedArguments(state, node, typeArguments) {
+  /*
+  Writes into `state` the type arguments and arguments of a call-like `node`.
+  */
+  formatTypeParameters(state, typeArguments)
+  formatSequence(state, node['arguments'])
+}
+
+// Handles the type annotation slots that dialects such as TypeScript add to ESTree nodes
+export const typedGenerator = Object.assign({}, baseGenerator, {
+  Identifier(node, state) {
+    // Parameters may be decorated
+    formatDecorators(state, node.decorators, ' ')
+    state.write(node.name, node)
+    formatTypeAnnotation(state, node)
+  },
+  ObjectPattern(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    baseGenerator.ObjectPattern.call(this, node, state)
+    formatTypeAnnotation(state, node)
+  },
+  ArrayPattern(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    baseGenerator.ArrayPattern.call(this, node, state)
+    formatTypeAnnotation(state, node)
+  },
+  RestElement(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    baseGenerator.RestElement.call(this, node, state)
+    formatTypeAnnotation(state, node)
+  },
+  AssignmentPattern(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    baseGenerator.AssignmentPattern.call(this, node, state)
+  },
+  VariableDeclaration(node, state) {
+    if (node.declare) {
+      state.write('declare ')
+    }
+    baseGenerator.VariableDeclaration.call(this, node, state)
+  },
+  VariableDeclarator(node, state) {
+    const { id } = node
+    if (node.definite) {
+      // Definite assignment assertion goes between the name and its type
+      state.write(id.name, id)
+      state.write('!')
+      this[id.typeAnnotation.type](id.typeAnnotation, state)
+    } else {
+      this[id.type](id, state)
+    }
+    if (node.init != null) {
+      state.write(' = ')
+      this[node.init.type](node.init, state)
+    }
+  },
+  FunctionDeclaration(node, state) {
+    state.write(
+      (node.declare ? 'declare ' : '') +
+        (node.async ? 'async ' : '') +
+        (node.generator ? 'function* ' : 'function ') +
+        (node.id ? node.id.name : ''),
+      node,
+    )
+    formatSignature(state, node)
+    if (node.body == null) {
+      // Overload or ambient declaration
+      state.write(';')
+    } else {
+      state.write(' ')
+      this[node.body.type](node.body, state)
+    }
+  },
+  FunctionExpression(node, state) {
+    this.FunctionDeclaration(node, state)
+  },
+  ArrowFunctionExpression(node, state) {
+    if (!hasAnnotatedParameters(node)) {
+      baseGenerator.ArrowFunctionExpression.call(this, node, state)
+      return
+    }
+    state.write(node.async ? 'async ' : '', node)
+    formatSignature(state, node)
+    state.write(' => ')
+    formatArrowFunctionBody(state, node.body)
+  },
+  ClassDeclaration(node, state) {
+    state.write(
+      (node.declare ? 'declare ' : '') +
+        (node.abstract ? 'abstract ' : '') +
+        'class',
+      formatClassDecorators(state, node),
+    )
+    if (node.id) {
+      state.write(' ')
+      state.write(node.id.name, node.id)
+    }
+    formatTypeParameters(state, node.typeParameters)
+    state.write(' ')
+    if (node.superClass) {
+      state.write('extends ')
+      formatExpressionOperand(state, node.superClass, NEEDS_PARENTHESES)
+      formatTypeParameters(
+        state,
+        node.superTypeArguments != null
+          ? node.superTypeArguments
+          : node.superTypeParameters,
+      )
+      state.write(' ')
+    }
+    const { implements: implemented } = node
+    if (implemented != null && implemented.length > 0) {
+      state.write('implements ')
+      formatList(state, implemented, ', ')
+      state.write(' ')
+    }
+    this.ClassBody(node.body, state)
+  },
+  ClassExpression(node, state) {
+    this.ClassDeclaration(node, state)
+  },
+  MethodDefinition(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    formatModifiers(state, node)
+    const kind = node.kind[0]
+    if (kind === 'g' || kind === 's') {
+      // Getter or setter
+      state.write(node.kind + ' ')
+    }
+    const { value } = node
+    if (value.async) {
+      state.write('async ')
+    }
+    if (value.generator) {
+      state.write('*')
+    }
+    formatClassKey(state, node)
+    if (node.optional) {
+      state.write('?')
+    }
+    formatSignature(state, value)
+    if (value.body == null) {
+      // Overload or abstract method
+      state.write(';')
+    } else {
+      state.write(' ')
+      this[value.body.type](value.body, state)
+    }
+  },
+  PropertyDefinition(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    formatModifiers(state, node)
+    if (node.type.indexOf('Accessor') !== -1) {
+      state.write('accessor ')
+    }
+    formatClassKey(state, node)
+    if (node.optional) {
+      state.write('?')
+    }
+    if (node.definite) {
+      state.write('!')
+    }
+    const { typeAnnotation } = node
+    if (typeAnnotation != null) {
+      this[typeAnnotation.type](typeAnnotation, state)
+    }
+    if (node.value != null) {
+      state.write(' = ')
+      this[node.value.type](node.value, state)
+    }
+    state.write(';')
+  },
+  CallExpression(node, state) {
+    formatExpressionOperand(
+      state,
+      node.callee,
+      EXPRESSIONS_PRECEDENCE.CallExpression,
+    )
+    if (node.optional) {
+      state.write('?.')
+    }
+    formatTypedArguments(
+      state,
+      node,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  NewExpression(node, state) {
+    state.write('new ')
+    if (
+      state.expressionsPrecedence[node.callee.type] <
+        EXPRESSIONS_PRECEDENCE.CallExpression ||
+      hasCallExpression(node.callee)
+    ) {
+      state.write('(')
+      this[node.callee.type](node.callee, state)
+      state.write(')')
+    } else {
+      this[node.callee.type](node.callee, state)
+    }
+    formatTypedArguments(
+      state,
+      node,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  TaggedTemplateExpression(node, state) {
+    formatExpressionOperand(
+      state,
+      node.tag,
+      EXPRESSIONS_PRECEDENCE.MemberExpression,
+    )
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+    this[node.quasi.type](node.quasi, state)
+  },
+})
+
+export function formatMembers(state, members, separator) {
+  /*
+  Writes into `state` the `members` of a type, interface or enum body on indented lines, separated with `separator`.
+  */
+  const { length } = members
+  if (length === 0) {
+    state.write('{}')
+    return
+  }
+  const { generator, lineEnd, writeComments, quotedKeys } = state
+  const indent = state.indent.repeat(state.indentLevel++)
+  const memberIndent = indent + state.indent
+  state.quotedKeys = hasQuotedKeys(state, members)
+  state.write('{' + lineEnd)
+  for (let i = 0; i < length; i++) {
+    const member = members[i]
+    if (writeComments && member.comments != null) {
+      formatComments(state, member.comments, memberIndent, lineEnd)
+    }
+    state.write(memberIndent)
+    generator[member.type](member, state)
+    state.write((i < length - 1 ? separator : '') + lineEnd)
+  }
+  state.write(indent + '}')
+  state.indentLevel--
+  state.quotedKeys = quotedKeys
+}
+
+// Precedence of type nodes that may need parentheses, all others are primary types
+export const TYPES_PRECEDENCE = {
+  TSConditionalType: 1,
+  TSFunctionType: 1,
+  TSConstructorType: 1,
+  TSUnionType: 2,
+  TSIntersectionType: 3,
+  TSTypeOperator: 4,
+  TSInferType: 4,
+  TSArrayType: 5,
+  TSIndexedAccessType: 5,
+  // Flow
+  ConditionalTypeAnnotation: 1,
+  FunctionTypeAnnotation: 1,
+  UnionTypeAnnotation: 2,
+  IntersectionTypeAnnotation: 3,
+  NullableTypeAnnotation: 4,
+  KeyofTypeAnnotation: 4,
+  InferTypeAnnotation: 4,
+  ArrayTypeAnnotation: 5,
+  IndexedAccessType: 5,
+  OptionalIndexedAccessType: 5,
+}
+
+export function formatType(state, node, precedence) {
+  /*
+  Writes into `state` the type `node`, within parentheses if its precedence is lower than `precedence`.
+  */
+  const { generator } = state
+  if (TYPES_PRECEDENCE[node.type] < precedence) {
+    state.write('(')
+    generator[node.type](node, state)
+    state.write(')')
+  } else {
+    generator[node.type](node, state)
+  }
+}
+
+export function formatTypeList(state, nodes, separator, precedence) {
+  /*
+  Writes into `state` the type `nodes` separated with `separator`, with parentheses applied according to `precedence`.
+  */
+  const { length } = nodes
+  for (let i = 0; i < length; i++) {
+    if (i > 0) {
+      state.write(separator)
+    }
+    formatType(state, nodes[i], precedence)
+  }
+}
+
+export function formatTemplate(state, quasis, expressions) {
+  /*
+  Writes into `state` a template literal with the given `expressions` or types. TypeScript-ESTree locates each template element along with its surrounding delimiters, which are thus written with it.
+  */
+  const { generator } = state
+  const { length } = expressions
+  for (let i = 0; i < length; i++) {
+    const quasi = quasis[i]
+    const expression = expressions[i]
+    state.write(
+      (i === 0 ? '`' : '}') + templateElementRaw(state, quasi) + '${',
+      quasi,
+    )
+    generator[expression.type](expression, state)
+  }
+  const quasi = quasis[length]
+  state.write(
+    (length === 0 ? '`' : '}') + templateElementRaw(state, quasi) + '`',
+    quasi,
+  )
+}
@@ -0,0 +1,475 @@
+import {
+  EXPRESSIONS_PRECEDENCE,
+  formatBinaryExpressionPart,
+  formatClassKey,
+  formatDecorators,
+  formatExpressionOperand,
+  formatList,
+  formatSequence,
+  formatString,
+  kindPrefix,
+  OPERATOR_PRECEDENCE,
+} from './format'
+import {
+  formatMembers,
+  formatModifiers,
+  formatSignature,
+  formatTemplate,
+  formatType,
+  formatTypeAnnotation,
+  formatTypeList,
+  formatTypeParameters,
+  typedGenerator,
+  TYPES_PRECEDENCE,
+} from './typed'
+
+const TS_EXPRESSIONS_PRECEDENCE = Object.assign({}, EXPRESSIONS_PRECEDENCE, {
+  TSNonNullExpression: 19,
+  // Instantiation expressions cannot be directly called or accessed
+  TSInstantiationExpression: 18,
+  TSTypeAssertion: 15,
+  TSAsExpression: 14,
+  TSSatisfiesExpression: 14,
+})
+
+// Type assertions are parsed as relational operators, keyed by node type as they have no operator
+const TS_OPERATOR_PRECEDENCE = Object.assign({}, OPERATOR_PRECEDENCE, {
+  TSAsExpression: 9,
+  TSSatisfiesExpression: 9,
+})
+
+let TSKeyword,
+  TSHeritage,
+  TSAsExpression,
+  TSTypeParameterDeclaration,
+  TSFunctionType
+
+export const typescriptGenerator = Object.assign({}, typedGenerator, {
+  expressionsPrecedence: TS_EXPRESSIONS_PRECEDENCE,
+  operatorPrecedence: TS_OPERATOR_PRECEDENCE,
+  // Declarations
+  TSDeclareFunction: typedGenerator.FunctionDeclaration,
+  TSEmptyBodyFunctionExpression: typedGenerator.FunctionExpression,
+  TSAbstractMethodDefinition: typedGenerator.MethodDefinition,
+  TSAbstractPropertyDefinition: typedGenerator.PropertyDefinition,
+  AccessorProperty: typedGenerator.PropertyDefinition,
+  TSAbstractAccessorProperty: typedGenerator.PropertyDefinition,
+  TSParameterProperty(node, state) {
+    formatDecorators(state, node.decorators, ' ')
+    formatModifiers(state, node)
+    this[node.parameter.type](node.parameter, state)
+  },
+  TSTypeAliasDeclaration(node, state) {
+    state.write((node.declare ? 'declare ' : '') + 'type ', node)
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+    state.write(' = ')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+    state.write(';')
+  },
+  TSInterfaceDeclaration(node, state) {
+    state.write((node.declare ? 'declare ' : '') + 'interface ', node)
+    this[node.id.type](node.id, state)
+    formatTypeParameters(state, node.typeParameters)
+    state.write(' ')
+    const { extends: extended } = node
+    if (extended != null && extended.length > 0) {
+      state.write('extends ')
+      formatList(state, extended, ', ')
+      state.write(' ')
+    }
+    this[node.body.type](node.body, state)
+  },
+  TSInterfaceBody(node, state) {
+    formatMembers(state, node.body, '')
+  },
+  TSInterfaceHeritage: (TSHeritage = function (node, state) {
+    this[node.expression.type](node.expression, state)
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  }),
+  TSClassImplements: TSHeritage,
+  TSEnumDeclaration(node, state) {
+    state.write(
+      (node.declare ? 'declare ' : '') + (node.const ? 'const ' : '') + 'enum ',
+      node,
+    )
+    this[node.id.type](node.id, state)
+    state.write(' ')
+    formatMembers(
+      state,
+      node.body != null ? node.body.members : node.members,
+      ',',
+    )
+  },
+  TSEnumMember(node, state) {
+    if (node.computed) {
+      state.write('[')
+      this[node.id.type](node.id, state)
+      state.write(']')
+    } else {
+      formatString(state, node.id)
+    }
+    if (node.initializer != null) {
+      state.write(' = ')
+      this[node.initializer.type](node.initializer, state)
+    }
+  },
+  TSModuleDeclaration(node, state) {
+    const { id, kind } = node
+    state.write(node.declare ? 'declare ' : '', node)
+    if (kind === 'global') {
+      state.write('global')
+    } else {
+      state.write(
+        kind != null
+          ? kind + ' '
+          : id.type[0] === 'L'
+          ? 'module '
+          : 'namespace ',
+      )
+      formatString(state, id)
+    }
+    let { body } = node
+    while (body != null && body.type === 'TSModuleDeclaration') {
+      // Nested namespace declaration from `namespace A.B {}`
+      state.write('.')
+      this[body.id.type](body.id, state)
+      body = body.body
+    }
+    if (body == null) {
+      state.write(';')
+    } else {
+      state.write(' ')
+      this[body.type](body, state)
+    }
+  },
+  TSModuleBlock(node, state) {
+    this.BlockStatement(node, state)
+  },
+  TSImportEqualsDeclaration(node, state) {
+    state.write(
+      (node.isExport ? 'export ' : '') +
+        'import ' +
+        kindPrefix(node.importKind),
+      node,
+    )
+    this[node.id.type](node.id, state)
+    state.write(' = ')
+    this[node.moduleReference.type](node.moduleReference, state)
+    state.write(';')
+  },
+  TSExternalModuleReference(node, state) {
+    state.write('require(', node)
+    formatString(state, node.expression)
+    state.write(')')
+  },
+  TSExportAssignment(node, state) {
+    state.write('export = ', node)
+    this[node.expression.type](node.expression, state)
+    state.write(';')
+  },
+  TSNamespaceExportDeclaration(node, state) {
+    state.write('export as namespace ', node)
+    this[node.id.type](node.id, state)
+    state.write(';')
+  },
+  // Signatures
+  TSPropertySignature(node, state) {
+    if (node.readonly) {
+      state.write('readonly ')
+    }
+    formatClassKey(state, node)
+    formatTypeAnnotation(state, node)
+    state.write(';')
+  },
+  TSMethodSignature(node, state) {
+    const kind = node.kind[0]
+    if (kind === 'g' || kind === 's') {
+      // Getter or setter
+      state.write(node.kind + ' ')
+    }
+    formatClassKey(state, node)
+    if (node.optional) {
+      state.write('?')
+    }
+    formatSignature(state, node)
+    state.write(';')
+  },
+  TSIndexSignature(node, state) {
+    formatModifiers(state, node)
+    state.write('[')
+    formatList(state, node.parameters, ', ')
+    state.write(']')
+    formatTypeAnnotation(state, node)
+    state.write(';')
+  },
+  TSCallSignatureDeclaration(node, state) {
+    formatSignature(state, node)
+    state.write(';')
+  },
+  TSConstructSignatureDeclaration(node, state) {
+    state.write('new ')
+    formatSignature(state, node)
+    state.write(';')
+  },
+  // Expressions
+  TSAsExpression: (TSAsExpression = function (node, state) {
+    formatBinaryExpressionPart(state, node.expression, node, false)
+    state.write(node.type[2] === 'A' ? ' as ' : ' satisfies ')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  }),
+  TSSatisfiesExpression: TSAsExpression,
+  TSNonNullExpression(node, state) {
+    formatExpressionOperand(
+      state,
+      node.expression,
+      TS_EXPRESSIONS_PRECEDENCE.TSNonNullExpression,
+    )
+    state.write('!')
+  },
+  TSTypeAssertion(node, state) {
+    state.write('<')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+    state.write('>')
+    formatExpressionOperand(
+      state,
+      node.expression,
+      TS_EXPRESSIONS_PRECEDENCE.TSTypeAssertion,
+    )
+  },
+  TSInstantiationExpression(node, state) {
+    formatExpressionOperand(
+      state,
+      node.expression,
+      TS_EXPRESSIONS_PRECEDENCE.TSInstantiationExpression,
+    )
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  // Types
+  TSTypeAnnotation(node, state) {
+    state.write(': ')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  },
+  TSTypeParameterDeclaration: (TSTypeParameterDeclaration = function (
+    node,
+    state,
+  ) {
+    state.write('<')
+    formatList(state, node.params, ', ')
+    state.write('>')
+  }),
+  TSTypeParameterInstantiation: TSTypeParameterDeclaration,
+  TSTypeParameter(node, state) {
+    state.write(
+      (node.const ? 'const ' : '') +
+        (node.in ? 'in ' : '') +
+        (node.out ? 'out ' : ''),
+      node,
+    )
+    const { name } = node
+    if (typeof name === 'string') {
+      state.write(name)
+    } else {
+      this[name.type](name, state)
+    }
+    if (node.constraint != null) {
+      state.write(' extends ')
+      this[node.constraint.type](node.constraint, state)
+    }
+    if (node['default'] != null) {
+      state.write(' = ')
+      this[node['default'].type](node['default'], state)
+    }
+  },
+  TSAnyKeyword: (TSKeyword = function (node, state) {
+    // Keyword is derived from the type, e.g. `TSBigIntKeyword` is `bigint`
+    state.write(node.type.slice(2, -7).toLowerCase(), node)
+  }),
+  TSBigIntKeyword: TSKeyword,
+  TSBooleanKeyword: TSKeyword,
+  TSIntrinsicKeyword: TSKeyword,
+  TSNeverKeyword: TSKeyword,
+  TSNullKeyword: TSKeyword,
+  TSNumberKeyword: TSKeyword,
+  TSObjectKeyword: TSKeyword,
+  TSStringKeyword: TSKeyword,
+  TSSymbolKeyword: TSKeyword,
+  TSUndefinedKeyword: TSKeyword,
+  TSUnknownKeyword: TSKeyword,
+  TSVoidKeyword: TSKeyword,
+  TSThisType(node, state) {
+    state.write('this', node)
+  },
+  TSTypeReference(node, state) {
+    this[node.typeName.type](node.typeName, state)
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  TSQualifiedName(node, state) {
+    this[node.left.type](node.left, state)
+    state.write('.')
+    this[node.right.type](node.right, state)
+  },
+  TSLiteralType(node, state) {
+    this[node.literal.type](node.literal, state)
+  },
+  TemplateLiteral(node, state) {
+    formatTemplate(state, node.quasis, node.expressions)
+  },
+  TSTemplateLiteralType(node, state) {
+    formatTemplate(state, node.quasis, node.types)
+  },
+  TSArrayType(node, state) {
+    formatType(state, node.elementType, TYPES_PRECEDENCE.TSArrayType)
+    state.write('[]')
+  },
+  TSIndexedAccessType(node, state) {
+    formatType(state, node.objectType, TYPES_PRECEDENCE.TSIndexedAccessType)
+    state.write('[')
+    this[node.indexType.type](node.indexType, state)
+    state.write(']')
+  },
+  TSTupleType(node, state) {
+    state.write('[')
+    formatList(state, node.elementTypes, ', ')
+    state.write(']')
+  },
+  TSNamedTupleMember(node, state) {
+    this[node.label.type](node.label, state)
+    state.write(node.optional ? '?: ' : ': ')
+    this[node.elementType.type](node.elementType, state)
+  },
+  TSOptionalType(node, state) {
+    formatType(state, node.typeAnnotation, TYPES_PRECEDENCE.TSArrayType)
+    state.write('?')
+  },
+  TSRestType(node, state) {
+    state.write('...')
+    this[node.typeAnnotation.type](node.typeAnnotation, state)
+  },
+  TSUnionType(node, state) {
+    formatTypeList(state, node.types, ' | ', TYPES_PRECEDENCE.TSUnionType + 1)
+  },
+  TSIntersectionType(node, state) {
+    formatTypeList(
+      state,
+      node.types,
+      ' & ',
+      TYPES_PRECEDENCE.TSIntersectionType + 1,
+    )
+  },
+  TSTypeOperator(node, state) {
+    state.write(node.operator + ' ', node)
+    formatType(state, node.typeAnnotation, TYPES_PRECEDENCE.TSTypeOperator)
+  },
+  TSInferType(node, state) {
+    state.write('infer ', node)
+    this[node.typeParameter.type](node.typeParameter, state)
+  },
+  TSConditionalType(node, state) {
+    const precedence = TYPES_PRECEDENCE.TSConditionalType + 1
+    formatType(state, node.checkType, precedence)
+    state.write(' extends ')
+    formatType(state, node.extendsType, precedence)
+    state.write(' ? ')
+    this[node.trueType.type](node.trueType, state)
+    state.write(' : ')
+    this[node.falseType.type](node.falseType, state)
+  },
+  TSFunctionType: (TSFunctionType = function (node, state) {
+    if (node.type[2] === 'C') {
+      // TSConstructorType
+      state.write(node.abstract ? 'abstract new ' : 'new ', node)
+    }
+    formatTypeParameters(state, node.typeParameters)
+    formatSequence(state, node.params)
+    state.write(' => ')
+    const { typeAnnotation } = node.returnType
+    this[typeAnnotation.type](typeAnnotation, state)
+  }),
+  TSConstructorType: TSFunctionType,
+  TSTypeLiteral(node, state) {
+    formatMembers(state, node.members, '')
+  },
+  TSMappedType(node, state) {
+    const { readonly, optional } = node
+    // Older versions of TypeScript-ESTree store the key in a type parameter
+    const key = node.key != null ? node.key : node.typeParameter.name
+    const constraint =
+      node.constraint != null ? node.constraint : node.typeParameter.constraint
+    state.write('{')
+    if (readonly) {
+      state.write(readonly === true ? 'readonly ' : readonly + 'readonly ')
+    }
+    state.write('[')
+    if (typeof key === 'string') {
+      state.write(key)
+    } else {
+      this[key.type](key, state)
+    }
+    state.write(' in ')
+    this[constraint.type](constraint, state)
+    if (node.nameType != null) {
+      state.write(' as ')
+      this[node.nameType.type](node.nameType, state)
+    }
+    state.write(']')
+    if (optional) {
+      state.write(optional === true ? '?' : optional + '?')
+    }
+    if (node.typeAnnotation != null) {
+      state.write(': ')
+      this[node.typeAnnotation.type](node.typeAnnotation, state)
+    }
+    state.write('}')
+  },
+  TSTypeQuery(node, state) {
+    state.write('typeof ', node)
+    this[node.exprName.type](node.exprName, state)
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  TSImportType(node, state) {
+    state.write(node.isTypeOf ? 'typeof import(' : 'import(', node)
+    const argument = node.argument != null ? node.argument : node.parameter
+    if (argument.type === 'TSLiteralType') {
+      // Module names cannot be template literals
+      formatString(state, argument.literal)
+    } else {
+      this[argument.type](argument, state)
+    }
+    state.write(')')
+    if (node.qualifier != null) {
+      state.write('.')
+      this[node.qualifier.type](node.qualifier, state)
+    }
+    formatTypeParameters(
+      state,
+      node.typeArguments != null ? node.typeArguments : node.typeParameters,
+    )
+  },
+  TSTypePredicate(node, state) {
+    if (node.asserts) {
+      state.write('asserts ')
+    }
+    this[node.parameterName.type](node.parameterName, state)
+    const { typeAnnotation } = node
+    if (typeAnnotation != null) {
+      state.write(' is ')
+      this[typeAnnotation.typeAnnotation.type](
+        typeAnnotation.typeAnnotation,
+        state,
+      )
+    }
+  },
+})
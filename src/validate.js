@@ -0,0 +1,1169 @@
+import { baseGenerator } from './astring'
+import { EMPTY_OBJECT } from './format'
+
+const { stringify } = JSON
+
+// Node types that are written by the generator of their parent node
+const INLINE_NODE_TYPES = {
+  SwitchCase: true,
+  CatchClause: true,
+  ImportSpecifier: true,
+  ImportDefaultSpecifier: true,
+  ImportNamespaceSpecifier: true,
+  ExportSpecifier: true,
+  ExportNamespaceSpecifier: true,
+}
+
+function typeSet(types) {
+  /*
+  Returns an object with a `true` property for each of the space-separated `types`.
+  */
+  const set = {}
+  const list = types.split(' ')
+  for (let i = 0; i < list.length; i++) {
+    set[list[i]] = true
+  }
+  return set
+}
+
+const NODE_KINDS = {
+  Expression: typeSet(
+    'Identifier Literal ThisExpression ArrayExpression ObjectExpression FunctionExpression ArrowFunctionExpression ClassExpression TaggedTemplateExpression TemplateLiteral MemberExpression CallExpression NewExpression SequenceExpression UnaryExpression UpdateExpression BinaryExpression LogicalExpression ConditionalExpression AssignmentExpression YieldExpression AwaitExpression MetaProperty ImportExpression ChainExpression',
+  ),
+  Statement: typeSet(
+    'ExpressionStatement BlockStatement EmptyStatement DebuggerStatement WithStatement ReturnStatement LabeledStatement BreakStatement ContinueStatement IfStatement SwitchStatement ThrowStatement TryStatement WhileStatement DoWhileStatement ForStatement ForInStatement ForOfStatement FunctionDeclaration VariableDeclaration ClassDeclaration ImportDeclaration ExportNamedDeclaration ExportDefaultDeclaration ExportAllDeclaration',
+  ),
+  Declaration: typeSet(
+    'FunctionDeclaration VariableDeclaration ClassDeclaration',
+  ),
+  Pattern: typeSet(
+    'Identifier MemberExpression ObjectPattern ArrayPattern RestElement AssignmentPattern',
+  ),
+}
+
+// Fields of the ESTree nodes, described as:
+// - the kinds or types of nodes it accepts separated with `|`,
+// - a list of them within `[]`, which can contain `null` items if suffixed with `?`,
+// - `boolean` or `string` values,
+// - `=` followed by the accepted strings separated with `|`,
+// with a `?` suffix if the field can be `null` or missing.
+export const NODE_FIELDS = {
+  Program: { body: '[Statement]', sourceType: '=script|module?' },
+  ExpressionStatement: { expression: 'Expression', directive: 'string?' },
+  BlockStatement: { body: '[Statement]' },
+  StaticBlock: { body: '[Statement]' },
+  EmptyStatement: {},
+  DebuggerStatement: {},
+  WithStatement: { object: 'Expression', body: 'Statement' },
+  ReturnStatement: { argument: 'Expression?' },
+  LabeledStatement: { label: 'Identifier', body: 'Statement' },
+  BreakStatement: { label: 'Identifier?' },
+  ContinueStatement: { label: 'Identifier?' },
+  IfStatement: {
+    test: 'Expression',
+    consequent: 'Statement',
+    alternate: 'Statement?',
+  },
+  SwitchStatement: { discriminant: 'Expression', cases: '[SwitchCase]' },
+  SwitchCase: { test: 'Expression?', consequent: '[Statement]' },
+  ThrowStatement: { argument: 'Expression' },
+  TryStatement: {
+    block: 'BlockStatement',
+    handler: 'CatchClause?',
+    finalizer: 'BlockStatement?',
+  },
+  CatchClause: { param: 'Pattern?', body: 'BlockStatement' },
+  WhileStatement: { test: 'Expression', body: 'Statement' },
+  DoWhileStatement: { body: 'Statement', test: 'Expression' },
+  ForStatement: {
+    init: 'VariableDeclaration|Expression?',
+    test: 'Expression?',
+    update: 'Expression?',
+    body: 'Statement',
+  },
+  ForInStatement: {
+    left: 'VariableDeclaration|Pattern',
+    right: 'Expression',
+    body: 'Statement',
+  },
+  ForOfStatement: {
+    left: 'VariableDeclaration|Pattern',
+    right: 'Expression',
+    body: 'Statement',
+    await: 'boolean?',
+  },
+  FunctionDeclaration: {
+    id: 'Identifier?',
+    params: '[Pattern]',
+    body: 'BlockStatement',
+    generator: 'boolean',
+    async: 'boolean',
+  },
+  VariableDeclaration: {
+    declarations: '[VariableDeclarator]',
+    kind: '=var|let|const|using|await using',
+  },
+  VariableDeclarator: { id: 'Pattern', init: 'Expression?' },
+  ClassDeclaration: {
+    id: 'Identifier?',
+    superClass: 'Expression?',
+    body: 'ClassBody',
+  },
+  ClassExpression: {
+    id: 'Identifier?',
+    superClass: 'Expression?',
+    body: 'ClassBody',
+  },
+  ClassBody: {
+    body: '[MethodDefinition|PropertyDefinition|AccessorProperty|StaticBlock]',
+  },
+  MethodDefinition: {
+    key: 'Expression|PrivateIdentifier',
+    value: 'FunctionExpression',
+    kind: '=constructor|method|get|set',
+    computed: 'boolean',
+    static: 'boolean',
+  },
+  PropertyDefinition: {
+    key: 'Expression|PrivateIdentifier',
+    value: 'Expression?',
+    computed: 'boolean',
+    static: 'boolean',
+  },
+  AccessorProperty: {
+    key: 'Expression|PrivateIdentifier',
+    value: 'Expression?',
+    computed: 'boolean',
+    static: 'boolean',
+  },
+  ThisExpression: {},
+  Super: {},
+  ArrayExpression: { elements: '[Expression|SpreadElement?]' },
+  ObjectExpression: { properties: '[Property|SpreadElement]' },
+  Property: {
+    key: 'Expression|PrivateIdentifier',
+    value: 'Expression|Pattern',
+    kind: '=init|get|set',
+    method: 'boolean',
+    shorthand: 'boolean',
+    computed: 'boolean',
+  },
+  FunctionExpression: {
+    id: 'Identifier?',
+    params: '[Pattern]',
+    body: 'BlockStatement',
+    generator: 'boolean',
+    async: 'boolean',
+  },
+  ArrowFunctionExpression: {
+    params: '[Pattern]',
+    body: 'BlockStatement|Expression',
+    async: 'boolean',
+  },
+  UnaryExpression: {
+    operator: '=-|+|!|~|typeof|void|delete',
+    prefix: 'boolean',
+    argument: 'Expression',
+  },
+  UpdateExpression: {
+    operator: '=++|--',
+    prefix: 'boolean',
+    argument: 'Expression',
+  },
+  BinaryExpression: {
+    operator: 'string',
+    left: 'Expression|PrivateIdentifier',
+    right: 'Expression',
+  },
+  AssignmentExpression: {
+    operator: 'string',
+    left: 'Pattern',
+    right: 'Expression',
+  },
+  LogicalExpression: {
+    operator: 'string',
+    left: 'Expression',
+    right: 'Expression',
+  },
+  MemberExpression: {
+    object: 'Expression|Super',
+    property: 'Expression|PrivateIdentifier',
+    computed: 'boolean',
+    optional: 'boolean?',
+  },
+  ChainExpression: { expression: 'CallExpression|MemberExpression' },
+  ConditionalExpression: {
+    test: 'Expression',
+    consequent: 'Expression',
+    alternate: 'Expression',
+  },
+  CallExpression: {
+    callee: 'Expression|Super',
+    arguments: '[Expression|SpreadElement]',
+    optional: 'boolean?',
+  },
+  NewExpression: {
+    callee: 'Expression',
+    arguments: '[Expression|SpreadElement]',
+  },
+  SequenceExpression: { expressions: '[Expression]' },
+  YieldExpression: { argument: 'Expression?', delegate: 'boolean' },
+  AwaitExpression: { argument: 'Expression' },
+  TemplateLiteral: {
+    quasis: '[TemplateElement]',
+    expressions: '[Expression]',
+  },
+  TaggedTemplateExpression: { tag: 'Expression', quasi: 'TemplateLiteral' },
+  TemplateElement: { tail: 'boolean' },
+  ObjectPattern: { properties: '[Property|RestElement]' },
+  ArrayPattern: { elements: '[Pattern?]' },
+  RestElement: { argument: 'Pattern' },
+  AssignmentPattern: { left: 'Pattern', right: 'Expression' },
+  MetaProperty: { meta: 'Identifier', property: 'Identifier' },
+  ImportExpression: {
+    source: 'Expression',
+    options: 'Expression?',
+    // Some parsers store the options in `attributes`
+    attributes: 'Expression?',
+  },
+  ImportDeclaration: {
+    specifiers:
+      '[ImportSpecifier|ImportDefaultSpecifier|ImportNamespaceSpecifier]',
+    source: 'Literal',
+    attributes: '[ImportAttribute]?',
+  },
+  ImportSpecifier: { imported: 'Identifier|Literal', local: 'Identifier' },
+  ImportDefaultSpecifier: { local: 'Identifier' },
+  ImportNamespaceSpecifier: { local: 'Identifier' },
+  ImportAttribute: { key: 'Identifier|Literal', value: 'Literal' },
+  ExportNamedDeclaration: {
+    declaration: 'Declaration?',
+    specifiers: '[ExportSpecifier]',
+    source: 'Literal?',
+    attributes: '[ImportAttribute]?',
+  },
+  ExportSpecifier: {
+    local: 'Identifier|Literal',
+    exported: 'Identifier|Literal',
+  },
+  ExportDefaultDeclaration: {
+    declaration: 'FunctionDeclaration|ClassDeclaration|Expression',
+  },
+  ExportAllDeclaration: {
+    exported: 'Identifier|Literal?',
+    source: 'Literal',
+    attributes: '[ImportAttribute]?',
+  },
+  Identifier: { name: 'string' },
+  PrivateIdentifier: { name: 'string' },
+  Literal: { raw: 'string?' },
+  SpreadElement: { argument: 'Expression' },
+}
+
+// Class field nodes, including the ones of dialects
+const FIELD_TYPES = typeSet(
+  'PropertyDefinition AccessorProperty ClassProperty ClassPrivateProperty ClassAccessorProperty',
+)
+
+// Keys of nodes that do not hold child nodes
+const IGNORED_KEYS = typeSet(
+  'loc range comments leadingComments trailingComments innerComments tokens extra',
+)
+
+const RESERVED_WORDS = typeSet(
+  'break case catch class const continue debugger default delete do else enum export extends false finally for function if import in instanceof new null return super switch this throw true try typeof var void while with',
+)
+
+const STRICT_RESERVED_WORDS = typeSet(
+  'implements interface let package private protected public static yield',
+)
+
+let identifierNamePattern
+
+function isIdentifierName(name) {
+  /*
+  Returns `true` if `name` is a valid identifier name.
+  The Unicode-aware pattern is only built on first use, as older engines do not support it.
+  */
+  if (identifierNamePattern == null) {
+    try {
+      identifierNamePattern = new RegExp(
+        '^[$_\\p{ID_Start}][$\\u200C\\u200D\\p{ID_Continue}]*$',
+        'u',
+      )
+    } catch (error) {
+      /* istanbul ignore next */
+      identifierNamePattern = /^[$_A-Za-zª-￿][$\wª-￿]*$/
+    }
+  }
+  return identifierNamePattern.test(name)
+}
+
+function ecmaYear(version) {
+  /*
+  Returns the year of the ECMAScript `version`, given as a year, an edition number, or `"latest"`.
+  */
+  if (version == null || version === 'latest') {
+    return Infinity
+  }
+  if (version >= 1999) {
+    return version
+  }
+  if (version < 6) {
+    return version === 5 ? 2009 : 1999
+  }
+  return version + 2009
+}
+
+function isNode(value) {
+  /*
+  Returns `true` if `value` is a node.
+  */
+  return (
+    value != null && typeof value === 'object' && typeof value.type === 'string'
+  )
+}
+
+function hasKind(type, kinds) {
+  /*
+  Returns `true` if a node of `type` is one of the `kinds` or types separated with `|`.
+  Node types that are not part of ESTree, such as the ones of dialects, are accepted as any kind.
+  */
+  if (NODE_FIELDS[type] == null) {
+    return true
+  }
+  const list = kinds.split('|')
+  for (let i = 0; i < list.length; i++) {
+    const kind = list[i]
+    if (kind === type || (NODE_KINDS[kind] != null && NODE_KINDS[kind][type])) {
+      return true
+    }
+  }
+  return false
+}
+
+function isNameOnly(parent, key) {
+  /*
+  Returns `true` if the identifier at `key` of the `parent` node is a name that can be a reserved word, such as a property name.
+  */
+  const { type } = parent
+  if (type === 'MemberExpression') {
+    return key === 'property' && !parent.computed
+  }
+  if (type === 'MetaProperty' || type === 'ExportSpecifier') {
+    return true
+  }
+  if (key === 'key') {
+    return !parent.computed
+  }
+  return key === 'imported' || key === 'exported'
+}
+
+function hasUseStrict(node) {
+  /*
+  Returns `true` if the function body or program `node` starts with a `"use strict"` directive.
+  */
+  if (node == null) {
+    return false
+  }
+  const { directives, body } = node
+  if (directives != null) {
+    // Babel AST
+    for (let i = 0; i < directives.length; i++) {
+      if (directives[i].value.value === 'use strict') {
+        return true
+      }
+    }
+    return false
+  }
+  if (!Array.isArray(body)) {
+    return false
+  }
+  for (let i = 0; i < body.length; i++) {
+    const { directive } = body[i]
+    if (directive == null) {
+      return false
+    }
+    if (directive === 'use strict') {
+      return true
+    }
+  }
+  return false
+}
+
+function reportNode(validation, node, path, message, kind) {
+  /*
+  Adds to the diagnostics of the `validation` a `message` about `node` at `path`, of the given `kind` (defaults to `"tree"`).
+  */
+  validation.diagnostics.push({
+    message,
+    node,
+    nodeType: node.type,
+    path,
+    kind: kind || 'tree',
+  })
+}
+
+function validateField(validation, node, path, key, field) {
+  /*
+  Checks that the value at `key` of `node` matches the `field` description.
+  */
+  const value = node[key]
+  const isOptional = field[field.length - 1] === '?'
+  const description = isOptional ? field.slice(0, -1) : field
+  if (value == null) {
+    if (!isOptional) {
+      reportNode(validation, node, path, `Missing ${key} in ${node.type} node`)
+    }
+    return
+  }
+  if (description === 'boolean' || description === 'string') {
+    if (typeof value !== description) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Expected ${key} of ${node.type} node to be a ${description}`,
+      )
+    }
+    return
+  }
+  if (description[0] === '=') {
+    if (description.slice(1).split('|').indexOf(value) === -1) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Invalid ${key} ${stringify(value)} in ${node.type} node`,
+      )
+    }
+    return
+  }
+  if (description[0] === '[') {
+    if (!Array.isArray(value)) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Expected ${key} of ${node.type} node to be a list`,
+      )
+      return
+    }
+    const hasHoles = description[description.length - 2] === '?'
+    const kinds = description.slice(1, hasHoles ? -2 : -1)
+    for (let i = 0; i < value.length; i++) {
+      const item = value[i]
+      if (item == null) {
+        if (!hasHoles) {
+          reportNode(
+            validation,
+            node,
+            path,
+            `Missing ${key}[${i}] in ${node.type} node`,
+          )
+        }
+      } else {
+        validateChild(validation, node, path, `${key}[${i}]`, item, kinds)
+      }
+    }
+    return
+  }
+  validateChild(validation, node, path, key, value, description)
+}
+
+function validateChild(validation, node, path, key, child, kinds) {
+  /*
+  Checks that the `child` at `key` of `node` is a node of one of the `kinds`.
+  */
+  if (!isNode(child)) {
+    reportNode(
+      validation,
+      node,
+      path,
+      `Expected ${key} of ${node.type} node to be a node`,
+    )
+  } else if (!hasKind(child.type, kinds)) {
+    reportNode(
+      validation,
+      child,
+      `${path}.${key}`,
+      `Unexpected ${child.type} node in ${key} of ${node.type} node`,
+    )
+  }
+}
+
+function childScope(scope, node, key, child) {
+  /*
+  Returns the scope of the `child` node at `key` of `node` within `scope`.
+  */
+  const { type } = child
+  // Dialects such as Babel have method nodes that hold their function
+  const isDialectMethod =
+    NODE_FIELDS[type] == null &&
+    type.slice(-6) === 'Method' &&
+    Array.isArray(child.params)
+  if (
+    type === 'FunctionDeclaration' ||
+    type === 'FunctionExpression' ||
+    isDialectMethod
+  ) {
+    const method = isDialectMethod ? child : node
+    const isMethod =
+      isDialectMethod ||
+      (key === 'value' &&
+        (node.type === 'MethodDefinition' ||
+          (node.type === 'Property' && (node.method || node.kind !== 'init'))))
+    return {
+      isAsync: child.async === true,
+      isGenerator: child.generator === true,
+      hasSuperProperty: isMethod,
+      hasSuperCall:
+        isMethod && method.kind === 'constructor' && scope.isDerivedClass,
+      isStrict: scope.isStrict || hasUseStrict(child.body),
+      hasReturn: true,
+      hasNewTarget: true,
+      isLoop: false,
+      isSwitch: false,
+      labels: [],
+      isDerivedClass: scope.isDerivedClass,
+    }
+  }
+  if (type === 'StaticBlock' || (key === 'value' && FIELD_TYPES[node.type])) {
+    return {
+      isAsync: false,
+      isGenerator: false,
+      hasSuperProperty: true,
+      hasSuperCall: false,
+      isStrict: true,
+      hasReturn: false,
+      hasNewTarget: true,
+      isLoop: false,
+      isSwitch: false,
+      labels: [],
+      isDerivedClass: scope.isDerivedClass,
+    }
+  }
+  if (type === 'ArrowFunctionExpression') {
+    return Object.assign({}, scope, {
+      isAsync: child.async === true,
+      isGenerator: false,
+      isStrict: scope.isStrict || hasUseStrict(child.body),
+      hasReturn: true,
+      isLoop: false,
+      isSwitch: false,
+      labels: [],
+    })
+  }
+  if (key === 'body') {
+    const nodeType = node.type
+    if (nodeType === 'ClassDeclaration' || nodeType === 'ClassExpression') {
+      return Object.assign({}, scope, {
+        isStrict: true,
+        isDerivedClass: node.superClass != null,
+      })
+    }
+    if (nodeType === 'LabeledStatement' && node.label != null) {
+      return Object.assign({}, scope, {
+        labels: scope.labels.concat(node.label.name),
+      })
+    }
+    if (
+      nodeType === 'WhileStatement' ||
+      nodeType === 'DoWhileStatement' ||
+      (nodeType[0] === 'F' && nodeType[1] === 'o')
+    ) {
+      // Is a loop statement
+      return Object.assign({}, scope, { isLoop: true })
+    }
+  }
+  if (key === 'cases') {
+    return Object.assign({}, scope, { isSwitch: true })
+  }
+  return scope
+}
+
+function validateContext(validation, node, path, parent, key, scope) {
+  /*
+  Checks that `node` at `key` of the `parent` node can appear in `scope`.
+  */
+  const { type } = node
+  const isModule = validation.sourceType === 'module'
+  if (type === 'AwaitExpression') {
+    if (!scope.isAsync) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected await outside of an async function',
+      )
+    }
+  } else if (type === 'ForOfStatement') {
+    if (node.await && !scope.isAsync) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected for await outside of an async function',
+      )
+    }
+  } else if (type === 'YieldExpression') {
+    if (!scope.isGenerator) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected yield outside of a generator function',
+      )
+    }
+  } else if (type === 'Super') {
+    if (parent == null) {
+      return
+    }
+    if (parent.type === 'CallExpression' && key === 'callee') {
+      if (!scope.hasSuperCall) {
+        reportNode(
+          validation,
+          node,
+          path,
+          'Unexpected super call outside of a derived class constructor',
+        )
+      }
+    } else if (!scope.hasSuperProperty) {
+      reportNode(validation, node, path, 'Unexpected super outside of a method')
+    }
+  } else if (type === 'WithStatement') {
+    if (scope.isStrict) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected with statement in strict mode code',
+        'strict',
+      )
+    }
+  } else if (type === 'UnaryExpression') {
+    if (
+      node.operator === 'delete' &&
+      scope.isStrict &&
+      node.argument != null &&
+      node.argument.type === 'Identifier'
+    ) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected delete of an identifier in strict mode code',
+        'strict',
+      )
+    }
+  } else if (type === 'Literal') {
+    if (
+      scope.isStrict &&
+      typeof node.value === 'number' &&
+      typeof node.raw === 'string' &&
+      /^0[0-9]/.test(node.raw)
+    ) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected legacy octal literal in strict mode code',
+        'strict',
+      )
+    }
+  } else if (type === 'ReturnStatement') {
+    if (!scope.hasReturn) {
+      reportNode(
+        validation,
+        node,
+        path,
+        'Unexpected return outside of a function',
+      )
+    }
+  } else if (type === 'BreakStatement' || type === 'ContinueStatement') {
+    const { label } = node
+    const isBreak = type === 'BreakStatement'
+    if (
+      label != null
+        ? scope.labels.indexOf(label.name) === -1
+        : !(scope.isLoop || (isBreak && scope.isSwitch))
+    ) {
+      reportNode(
+        validation,
+        node,
+        path,
+        label != null
+          ? `Undefined label ${label.name}`
+          : `Unexpected ${isBreak ? 'break' : 'continue'} outside of a loop`,
+      )
+    }
+  } else if (type === 'MetaProperty') {
+    const name = node.meta != null ? node.meta.name : undefined
+    if (name === 'new' ? !scope.hasNewTarget : name === 'import' && !isModule) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Unexpected ${name}.${node.property.name} here`,
+        name === 'import' ? 'sourceType' : 'tree',
+      )
+    }
+  } else if (
+    type === 'ImportDeclaration' ||
+    type === 'ExportNamedDeclaration' ||
+    type === 'ExportDefaultDeclaration' ||
+    type === 'ExportAllDeclaration'
+  ) {
+    if (!isModule) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Unexpected ${type} node in a script`,
+        'sourceType',
+      )
+    } else if (
+      parent == null ||
+      (parent.type !== 'Program' && NODE_FIELDS[parent.type] != null)
+    ) {
+      // Dialects can nest module declarations, such as in TypeScript namespaces
+      reportNode(
+        validation,
+        node,
+        path,
+        `Unexpected ${type} node outside of the top level`,
+      )
+    }
+  } else if (type === 'ObjectExpression') {
+    const { properties } = node
+    let hasProto = false
+    for (let i = 0; i < properties.length; i++) {
+      const property = properties[i]
+      if (
+        property != null &&
+        property.type === 'Property' &&
+        property.kind === 'init' &&
+        !property.computed &&
+        !property.method &&
+        !property.shorthand &&
+        property.key != null &&
+        (property.key.name === '__proto__' ||
+          property.key.value === '__proto__')
+      ) {
+        if (hasProto) {
+          reportNode(
+            validation,
+            property,
+            `${path}.properties[${i}]`,
+            'Duplicate __proto__ property',
+          )
+        }
+        hasProto = true
+      }
+    }
+  } else if (type === 'Identifier' || type === 'PrivateIdentifier') {
+    const { name } = node
+    if (typeof name !== 'string') {
+      return
+    }
+    if (!isIdentifierName(name)) {
+      reportNode(
+        validation,
+        node,
+        path,
+        `Invalid identifier name ${stringify(name)}`,
+      )
+    } else if (
+      type === 'Identifier' &&
+      parent != null &&
+      NODE_FIELDS[parent.type] != null &&
+      !isNameOnly(parent, key) &&
+      (RESERVED_WORDS[name] ||
+        (scope.isStrict && STRICT_RESERVED_WORDS[name]) ||
+        (isModule && name === 'await')) &&
+      // TypeScript `this` parameters
+      !(name === 'this' && node.typeAnnotation != null)
+    ) {
+      reportNode(validation, node, path, `Unexpected reserved word ${name}`)
+    }
+  }
+}
+
+function validateNode(validation, node, path, parent, key, scope) {
+  /*
+  Checks `node` at `key` of the `parent` node and at `path` from the root, and then its children.
+  */
+  const { type } = node
+  if (validation.generator[type] == null && !INLINE_NODE_TYPES[type]) {
+    reportNode(validation, node, path, `Unsupported ${type} node`)
+  }
+  const fields = NODE_FIELDS[type]
+  if (fields != null) {
+    const keys = Object.keys(fields)
+    for (let i = 0; i < keys.length; i++) {
+      validateField(validation, node, path, keys[i], fields[keys[i]])
+    }
+    if (type === 'Literal') {
+      // Synthesized values such as `undefined` are written as equivalent code
+      const { value } = node
+      if (
+        !(
+          value === null ||
+          value instanceof RegExp ||
+          (typeof value !== 'object' &&
+            typeof value !== 'function' &&
+            typeof value !== 'symbol') ||
+          node.regex != null
+        )
+      ) {
+        reportNode(validation, node, path, 'Invalid value of Literal node')
+      }
+    } else if (type === 'TemplateElement') {
+      const { value } = node
+      if (value == null || typeof value.raw !== 'string') {
+        reportNode(
+          validation,
+          node,
+          path,
+          'Missing raw value of TemplateElement node',
+        )
+      }
+    }
+  }
+  validateContext(validation, node, path, parent, key, scope)
+  if (validation.ecmaYear !== Infinity) {
+    validateFeatures(validation, node, path, parent, scope)
+  }
+  // Checks the children
+  const keys = Object.keys(node)
+  for (let i = 0; i < keys.length; i++) {
+    const childKey = keys[i]
+    if (IGNORED_KEYS[childKey]) {
+      continue
+    }
+    const value = node[childKey]
+    if (Array.isArray(value)) {
+      for (let j = 0; j < value.length; j++) {
+        const child = value[j]
+        if (isNode(child)) {
+          validateNode(
+            validation,
+            child,
+            `${path}.${childKey}[${j}]`,
+            node,
+            childKey,
+            childScope(scope, node, childKey, child),
+          )
+        }
+      }
+    } else if (isNode(value)) {
+      validateNode(
+        validation,
+        value,
+        `${path}.${childKey}`,
+        node,
+        childKey,
+        childScope(scope, node, childKey, value),
+      )
+    }
+  }
+}
+
+// ECMAScript features that can be disabled by the `ecmaVersion` option, with the version that introduced them
+export const ecmaFeatures = {
+  arrowFunctions: { version: 2015, description: 'arrow functions' },
+  blockBindings: { version: 2015, description: 'let and const declarations' },
+  classes: { version: 2015, description: 'classes' },
+  defaultValues: { version: 2015, description: 'default values' },
+  destructuring: { version: 2015, description: 'destructuring patterns' },
+  forOf: { version: 2015, description: 'for-of loops' },
+  generators: { version: 2015, description: 'generators' },
+  modules: { version: 2015, description: 'import and export declarations' },
+  newTarget: { version: 2015, description: 'new.target' },
+  numericLiteralPrefixes: {
+    version: 2015,
+    description: 'binary and octal literals',
+  },
+  objectLiteralExtensions: {
+    version: 2015,
+    description: 'shorthand, computed and method properties',
+  },
+  regExpStickyUnicodeFlags: {
+    version: 2015,
+    description: 'the y and u regular expression flags',
+  },
+  restElements: { version: 2015, description: 'rest elements' },
+  spreadElements: { version: 2015, description: 'spread elements' },
+  templateLiterals: { version: 2015, description: 'template literals' },
+  exponentiation: { version: 2016, description: 'the ** operator' },
+  asyncFunctions: { version: 2017, description: 'async functions' },
+  asyncIteration: {
+    version: 2018,
+    description: 'async generators and for await loops',
+  },
+  objectRestSpread: {
+    version: 2018,
+    description: 'object rest and spread properties',
+  },
+  regExpDotAllFlag: {
+    version: 2018,
+    description: 'the s regular expression flag',
+  },
+  optionalCatchBinding: {
+    version: 2019,
+    description: 'catch clauses without a binding',
+  },
+  bigint: { version: 2020, description: 'bigint literals' },
+  dynamicImport: { version: 2020, description: 'import expressions' },
+  exportNamespaceFrom: {
+    version: 2020,
+    description: 'export * as declarations',
+  },
+  importMeta: { version: 2020, description: 'import.meta' },
+  nullishCoalescing: { version: 2020, description: 'the ?? operator' },
+  optionalChaining: { version: 2020, description: 'optional chaining' },
+  logicalAssignment: {
+    version: 2021,
+    description: 'logical assignment operators',
+  },
+  numericSeparators: { version: 2021, description: 'numeric separators' },
+  classFields: { version: 2022, description: 'class fields' },
+  classStaticBlocks: { version: 2022, description: 'class static blocks' },
+  moduleStringNames: {
+    version: 2022,
+    description: 'string names in import and export specifiers',
+  },
+  privateNames: { version: 2022, description: 'private names' },
+  regExpIndicesFlag: {
+    version: 2022,
+    description: 'the d regular expression flag',
+  },
+  topLevelAwait: { version: 2022, description: 'top-level await' },
+  regExpUnicodeSetsFlag: {
+    version: 2024,
+    description: 'the v regular expression flag',
+  },
+  importAttributes: { version: 2025, description: 'import attributes' },
+  usingDeclarations: { version: 2026, description: '`using` declarations' },
+  awaitUsingDeclarations: {
+    version: 2026,
+    description: '`await using` declarations',
+  },
+}
+
+// Regular expression flags introduced after ECMAScript 5 and the features they belong to
+const REGEXP_FLAG_FEATURES = {
+  y: 'regExpStickyUnicodeFlags',
+  u: 'regExpStickyUnicodeFlags',
+  s: 'regExpDotAllFlag',
+  d: 'regExpIndicesFlag',
+  v: 'regExpUnicodeSetsFlag',
+}
+
+function requireFeature(validation, node, path, name) {
+  /*
+  Reports `node` at `path` if the feature `name` is not available in the targeted ECMAScript version.
+  */
+  const feature = ecmaFeatures[name]
+  if (validation.ecmaYear < feature.version) {
+    reportNode(
+      validation,
+      node,
+      path,
+      `Cannot use ${feature.description} before ecmaVersion ${feature.version}`,
+      'feature',
+    )
+  }
+}
+
+function validateFeatures(validation, node, path, parent, scope) {
+  /*
+  Checks that the features used by `node`, which is a child of the `parent` node, are available in the targeted ECMAScript version.
+  */
+  const { type } = node
+  if (
+    type === 'FunctionDeclaration' ||
+    type === 'FunctionExpression' ||
+    type === 'ArrowFunctionExpression'
+  ) {
+    if (type[0] === 'A') {
+      requireFeature(validation, node, path, 'arrowFunctions')
+    }
+    if (node.async) {
+      requireFeature(validation, node, path, 'asyncFunctions')
+    }
+    if (node.generator) {
+      requireFeature(
+        validation,
+        node,
+        path,
+        node.async ? 'asyncIteration' : 'generators',
+      )
+    }
+  } else if (type === 'ClassDeclaration' || type === 'ClassExpression') {
+    requireFeature(validation, node, path, 'classes')
+  } else if (type === 'VariableDeclaration') {
+    const { kind } = node
+    if (kind === 'using') {
+      requireFeature(validation, node, path, 'usingDeclarations')
+    } else if (kind === 'await using') {
+      requireFeature(validation, node, path, 'awaitUsingDeclarations')
+    } else if (kind !== 'var') {
+      requireFeature(validation, node, path, 'blockBindings')
+    }
+  } else if (type === 'TemplateLiteral') {
+    requireFeature(validation, node, path, 'templateLiterals')
+  } else if (type === 'ObjectPattern' || type === 'ArrayPattern') {
+    requireFeature(validation, node, path, 'destructuring')
+  } else if (type === 'AssignmentPattern') {
+    requireFeature(validation, node, path, 'defaultValues')
+  } else if (type === 'RestElement' || type === 'SpreadElement') {
+    requireFeature(
+      validation,
+      node,
+      path,
+      parent != null && parent.type[0] === 'O'
+        ? 'objectRestSpread'
+        : type[0] === 'R'
+        ? 'restElements'
+        : 'spreadElements',
+    )
+  } else if (type === 'ForOfStatement') {
+    requireFeature(
+      validation,
+      node,
+      path,
+      node.await ? 'asyncIteration' : 'forOf',
+    )
+    if (node.await && scope.isAsync && !scope.hasReturn) {
+      requireFeature(validation, node, path, 'topLevelAwait')
+    }
+  } else if (type === 'AwaitExpression') {
+    // Only functions allow `return` statements
+    if (scope.isAsync && !scope.hasReturn) {
+      requireFeature(validation, node, path, 'topLevelAwait')
+    }
+  } else if (
+    type === 'ImportDeclaration' ||
+    type === 'ExportNamedDeclaration' ||
+    type === 'ExportDefaultDeclaration' ||
+    type === 'ExportAllDeclaration'
+  ) {
+    requireFeature(validation, node, path, 'modules')
+    if (type === 'ExportAllDeclaration' && node.exported != null) {
+      requireFeature(validation, node, path, 'exportNamespaceFrom')
+    }
+    if (node.attributes != null && node.attributes.length > 0) {
+      requireFeature(validation, node, path, 'importAttributes')
+    }
+  } else if (type === 'ImportExpression') {
+    requireFeature(validation, node, path, 'dynamicImport')
+    if (node.options != null || node.attributes != null) {
+      requireFeature(validation, node, path, 'importAttributes')
+    }
+  } else if (type === 'Property') {
+    if (
+      parent != null &&
+      parent.type === 'ObjectExpression' &&
+      (node.shorthand || node.method || node.computed)
+    ) {
+      requireFeature(validation, node, path, 'objectLiteralExtensions')
+    }
+  } else if (type === 'MetaProperty') {
+    if (node.meta != null) {
+      requireFeature(
+        validation,
+        node,
+        path,
+        node.meta.name === 'new' ? 'newTarget' : 'importMeta',
+      )
+    }
+  } else if (type === 'BinaryExpression' || type === 'AssignmentExpression') {
+    const { operator } = node
+    if (operator === '**' || operator === '**=') {
+      requireFeature(validation, node, path, 'exponentiation')
+    } else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+      requireFeature(validation, node, path, 'logicalAssignment')
+    }
+  } else if (type === 'LogicalExpression') {
+    if (node.operator === '??') {
+      requireFeature(validation, node, path, 'nullishCoalescing')
+    }
+  } else if (type === 'ChainExpression') {
+    requireFeature(validation, node, path, 'optionalChaining')
+  } else if (type === 'CatchClause') {
+    if (node.param == null) {
+      requireFeature(validation, node, path, 'optionalCatchBinding')
+    }
+  } else if (type === 'PropertyDefinition' || type === 'AccessorProperty') {
+    requireFeature(validation, node, path, 'classFields')
+  } else if (type === 'PrivateIdentifier') {
+    requireFeature(validation, node, path, 'privateNames')
+  } else if (type === 'StaticBlock') {
+    requireFeature(validation, node, path, 'classStaticBlocks')
+  } else if (type === 'Literal') {
+    const { raw, regex } = node
+    if (node.bigint != null) {
+      requireFeature(validation, node, path, 'bigint')
+    }
+    if (regex != null && typeof regex.flags === 'string') {
+      const { flags } = regex
+      for (let i = 0; i < flags.length; i++) {
+        const feature = REGEXP_FLAG_FEATURES[flags[i]]
+        if (feature != null) {
+          requireFeature(validation, node, path, feature)
+        }
+      }
+    } else if (typeof raw === 'string' && raw[0] !== '"' && raw[0] !== "'") {
+      if (raw[0] === '0' && /[bBoO]/.test(raw[1])) {
+        requireFeature(validation, node, path, 'numericLiteralPrefixes')
+      }
+      if (raw.indexOf('_') !== -1) {
+        requireFeature(validation, node, path, 'numericSeparators')
+      }
+    }
+    if (
+      parent != null &&
+      (parent.type === 'ImportSpecifier' ||
+        parent.type === 'ExportSpecifier' ||
+        (parent.type === 'ExportAllDeclaration' && parent.exported === node))
+    ) {
+      requireFeature(validation, node, path, 'moduleStringNames')
+    }
+  }
+}
+
+export function validate(node, options) {
+  /*
+  Returns a list of diagnostics about the provided AST `node`, which is empty if the AST can be generated.
+  Each diagnostic has a `message`, the `node`, `nodeType` and `path` it applies to, and a `kind`: `"feature"` for syntax introduced after `ecmaVersion`, `"sourceType"` for nodes not allowed by the `sourceType`, `"strict"` for sloppy mode syntax in strict mode code, or `"tree"` for any other issue.
+  The `options` are:
+
+  - `ecmaVersion`: ECMAScript version the AST targets (defaults to `"latest"`)
+  - `sourceType`: `"script"` or `"module"` (defaults to `"module"`)
+  - `generator`: code generator the AST is meant for (defaults to `baseGenerator`)
+  */
+  const setup = options == null ? EMPTY_OBJECT : options
+  const sourceType = setup.sourceType != null ? setup.sourceType : 'module'
+  const validation = {
+    diagnostics: [],
+    generator: setup.generator != null ? setup.generator : baseGenerator,
+    sourceType,
+    ecmaYear: ecmaYear(setup.ecmaVersion),
+  }
+  validateNode(validation, node, node.type, null, null, {
+    // Top-level `await` is allowed in modules
+    isAsync: sourceType === 'module',
+    isGenerator: false,
+    hasSuperProperty: false,
+    hasSuperCall: false,
+    isStrict: sourceType === 'module' || hasUseStrict(node),
+    hasReturn: false,
+    hasNewTarget: false,
+    isLoop: false,
+    isSwitch: false,
+    labels: [],
+    isDerivedClass: false,
+  })
+  return validation.diagnostics
+}